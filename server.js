@@ -12,6 +12,8 @@
  * - server+io dideclare awal (sebelum io digunakan)
  * - server.listen PALING BAWAH (Render friendly)
  * - Elak duplicate endpoint (terutama /api/cp/draft)
+ * - State session (kad, cluster, CU, versi CP) dipersist via SESSION_STORE (s3 | fs)
+ * - Setiap perubahan session direkod dalam audit trail (events) — boleh replay ke mana-mana titik masa
  */
 
 const express = require("express");
@@ -23,38 +25,86 @@ const { Server } = require("socket.io");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const multer = require("multer");
+const XLSX = require("xlsx");
+const QRCode = require("qrcode");
 
 // ===== OpenAI SDK v4 =====
 const OpenAI = require("openai");
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// ===== S3 (AWS SDK v3) =====
-const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } = require("@aws-sdk/client-s3");
+// tiada key -> client null; route AI semak OPENAI_API_KEY dahulu (clustering boleh guna mode local)
+const client = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+if (!client) console.warn("⚠️ OPENAI_API_KEY tidak diset — ciri AI dimatikan, clustering guna mode local");
+
+// ===== Object store (AWS SDK v3 / S3-compatible / local) =====
+// STORAGE_DRIVER=s3 | local  (default: s3 jika S3_BUCKET_INOSS diset, jika tidak local)
+// - s3    : AWS S3; atau S3-compatible (MinIO dll) jika S3_ENDPOINT diset
+// - local : fail JSON dalam STORAGE_LOCAL_DIR, key layout sama (inoss/sessions/<sid>/liveboard.json)
+// Kredential AWS tidak lagi wajib semasa boot — client S3 dicipta bila mula diguna.
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
 
 const S3_BUCKET_INOSS = process.env.S3_BUCKET_INOSS;
 const AWS_REGION = process.env.AWS_REGION || "ap-southeast-1";
 const S3_PREFIX_INOSS = process.env.S3_PREFIX || "inoss/sessions";
+const S3_ENDPOINT = String(process.env.S3_ENDPOINT || "").trim();
+
+const STORAGE_DRIVER = String(process.env.STORAGE_DRIVER || (S3_BUCKET_INOSS ? "s3" : "local")).trim().toLowerCase();
+const STORAGE_LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "data", "objects"));
 
-function mustEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env: ${name}`);
-  return v;
+if (!["s3", "local"].includes(STORAGE_DRIVER)) {
+  throw new Error(`STORAGE_DRIVER tidak dikenali: ${STORAGE_DRIVER} (guna "s3" atau "local")`);
 }
 
-const s3 = new S3Client({
-  region: AWS_REGION,
-  credentials: {
-    accessKeyId: mustEnv("AWS_ACCESS_KEY_ID"),
-    secretAccessKey: mustEnv("AWS_SECRET_ACCESS_KEY"),
-  },
-});
+let s3 = null;
+function getS3() {
+  if (s3) return s3;
+
+  const config = { region: AWS_REGION };
+  if (S3_ENDPOINT) {
+    // MinIO / S3-compatible: biasanya perlukan path-style (http://host:9000/<bucket>/<key>)
+    config.endpoint = S3_ENDPOINT;
+    config.forcePathStyle = String(process.env.S3_FORCE_PATH_STYLE || "true").toLowerCase() !== "false";
+  }
+  // jika tiada key eksplisit, SDK guna default credential chain (IAM role, profile, dll)
+  if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+    config.credentials = {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    };
+  }
+
+  s3 = new S3Client(config);
+  return s3;
+}
+
+/** true jika object store boleh diguna (local sentiasa sedia; s3 perlukan bucket) */
+function objectStoreReady() {
+  return STORAGE_DRIVER === "local" || !!S3_BUCKET_INOSS;
+}
+
+// id session = segmen path S3 / folder fs; tiada "." supaya "." / ".." tak keluar dari prefix
+const SESSION_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
 
 function sanitizeSessionId(sid) {
-  // kekalkan ringkas & selamat untuk S3 key
-  return String(sid || "")
+  // kekalkan ringkas & selamat untuk S3 key; "" jika tidak sah
+  const key = String(sid || "")
     .trim()
     .replace(/\s+/g, "-")
-    .replace(/[^a-zA-Z0-9._-]/g, "");
+    .replace(/[^a-zA-Z0-9_-]/g, "");
+  return SESSION_ID_RE.test(key) ? key : "";
+}
+
+// key -> path fail (local driver), elak key keluar dari STORAGE_LOCAL_DIR
+function localObjectPath(key) {
+  const file = path.resolve(STORAGE_LOCAL_DIR, String(key || ""));
+  if (!file.startsWith(STORAGE_LOCAL_DIR + path.sep)) throw new Error(`Storage key tidak sah: ${key}`);
+  return file;
 }
 
 // stream -> string helper
@@ -67,168 +117,564 @@ async function streamToString(stream) {
   });
 }
 
+async function s3Exists(key) {
+  if (STORAGE_DRIVER === "local") {
+    try {
+      await fs.promises.access(localObjectPath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  try {
+    await getS3().send(new HeadObjectCommand({ Bucket: S3_BUCKET_INOSS, Key: key }));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Baca JSON dari object store.
+ * Jika fail belum wujud: pulangkan `fallback` (jika diberi), jika tidak throw.
+ */
 async function s3GetJson(key, fallback) {
+  let text;
   try {
-    const res = await s3.send(
-      new GetObjectCommand({ Bucket: S3_BUCKET_INOSS, Key: key })
-    );
-    const text = await streamToString(res.Body);
-    return JSON.parse(text);
+    if (STORAGE_DRIVER === "local") {
+      text = await fs.promises.readFile(localObjectPath(key), "utf8");
+    } else {
+      const out = await getS3().send(new GetObjectCommand({ Bucket: S3_BUCKET_INOSS, Key: key }));
+      text = await streamToString(out.Body);
+    }
   } catch (e) {
-    // fail belum wujud = normal (NoSuchKey / 404)
+    // fail belum wujud = normal (NoSuchKey / 404 / ENOENT)
     const code = e?.name || e?.Code;
-    if (code === "NoSuchKey" || code === "NotFound") return fallback;
-    // kadang AWS letak statusCode
-    if (e?.$metadata?.httpStatusCode === 404) return fallback;
+    const missing =
+      code === "NoSuchKey" || code === "NotFound" || e?.code === "ENOENT" || e?.$metadata?.httpStatusCode === 404;
+    if (missing && fallback !== undefined) return fallback;
     throw e;
   }
+  return JSON.parse(text || "{}");
+}
+
+/** true jika error datang dari conditional write (IfNoneMatch) yang gagal */
+function isPreconditionFailed(e) {
+  const code = e?.name || e?.Code || e?.code;
+  const status = e?.$metadata?.httpStatusCode;
+  return code === "PreconditionFailed" || code === "ConditionalRequestConflict" || status === 412 || status === 409;
 }
 
-async function s3PutJson(key, obj) {
-  await s3.send(
+/**
+ * Tulis JSON ke object store.
+ * opts.ifNoneMatch : "*" = tulis hanya jika object belum wujud
+ * Tiada IfMatch: dokumen session dilindungi withWriteQueue (satu instance server sahaja).
+ */
+async function s3PutJson(key, data, { ifNoneMatch } = {}) {
+  const body = JSON.stringify(data ?? {}, null, 2);
+
+  if (STORAGE_DRIVER === "local") {
+    const file = localObjectPath(key);
+    if (ifNoneMatch === "*") {
+      let exists = true;
+      try {
+        await fs.promises.access(file);
+      } catch (e) {
+        if (e?.code !== "ENOENT") throw e;
+        exists = false;
+      }
+      if (exists) {
+        const err = new Error(`Precondition failed untuk key ${key}`);
+        err.name = "PreconditionFailed";
+        throw err;
+      }
+    }
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // tulis ke fail sementara dahulu, kemudian rename (elak JSON separuh)
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, body, "utf8");
+    await fs.promises.rename(tmp, file);
+    return true;
+  }
+
+  await getS3().send(
     new PutObjectCommand({
       Bucket: S3_BUCKET_INOSS,
       Key: key,
-      Body: JSON.stringify(obj, null, 2),
+      Body: body,
       ContentType: "application/json; charset=utf-8",
+      CacheControl: "no-store",
+      ...(ifNoneMatch ? { IfNoneMatch: ifNoneMatch } : {}),
     })
   );
+  return true;
+}
+
+/**
+ * Senarai "folder" terus di bawah prefix (contoh: inoss/sessions -> ["s1", "s2"]).
+ */
+async function s3ListDirs(prefix) {
+  const base = String(prefix || "").replace(/\/+$/, "");
+
+  if (STORAGE_DRIVER === "local") {
+    try {
+      const entries = await fs.promises.readdir(localObjectPath(base), { withFileTypes: true });
+      return entries.filter((e) => e.isDirectory()).map((e) => e.name);
+    } catch (e) {
+      if (e?.code === "ENOENT") return [];
+      throw e;
+    }
+  }
+
+  const out = [];
+  let token;
+  do {
+    const page = await getS3().send(
+      new ListObjectsV2Command({ Bucket: S3_BUCKET_INOSS, Prefix: `${base}/`, Delimiter: "/", ContinuationToken: token })
+    );
+    for (const cp of page.CommonPrefixes || []) {
+      const name = String(cp.Prefix || "").slice(base.length + 1).replace(/\/$/, "");
+      if (name) out.push(name);
+    }
+    token = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (token);
+  return out;
+}
+
+/** Padam satu object (tiada ralat jika tiada) */
+async function s3DeleteObject(key) {
+  if (STORAGE_DRIVER === "local") {
+    await fs.promises.rm(localObjectPath(key), { force: true });
+    return;
+  }
+  await getS3().send(new DeleteObjectCommand({ Bucket: S3_BUCKET_INOSS, Key: key }));
+}
+
+/** Padam semua object di bawah prefix (contoh: inoss/sessions/s1/) */
+async function s3DeletePrefix(prefix) {
+  const base = String(prefix || "").replace(/\/+$/, "");
+  if (!base) throw new Error("Prefix kosong tidak dibenarkan");
+
+  if (STORAGE_DRIVER === "local") {
+    await fs.promises.rm(localObjectPath(base), { recursive: true, force: true });
+    return;
+  }
+
+  let token;
+  do {
+    const page = await getS3().send(
+      new ListObjectsV2Command({ Bucket: S3_BUCKET_INOSS, Prefix: `${base}/`, ContinuationToken: token })
+    );
+    for (const obj of page.Contents || []) {
+      await getS3().send(new DeleteObjectCommand({ Bucket: S3_BUCKET_INOSS, Key: obj.Key }));
+    }
+    token = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (token);
+}
+
+/**
+ * Queue tulisan ikut key (dalam proses ini).
+ * Semua read-modify-write pada key yang sama berjalan satu demi satu.
+ */
+const writeQueues = new Map(); // key -> Promise (ekor queue)
+
+function withWriteQueue(key, fn) {
+  const prev = writeQueues.get(key) || Promise.resolve();
+  const run = prev.then(fn);
+  const tail = run.catch(() => {});
+  writeQueues.set(key, tail);
+  tail.then(() => {
+    if (writeQueues.get(key) === tail) writeQueues.delete(key);
+  });
+  return run;
 }
 
 /* =========================
  * APP + MIDDLEWARE
  * ========================= */
 const app = express();
+// di belakang reverse proxy: TRUST_PROXY=1 (bilangan hop) supaya req.ip = IP klien (had cubaan kod join)
+if (process.env.TRUST_PROXY) {
+  const v = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(v) ? Number(v) : v === "true" ? true : v);
+}
 app.use(cors({ origin: "*" }));
-app.use(express.json({ limit: "2mb" }));
+// import bundle session boleh jauh lebih besar daripada request biasa
+const jsonDefault = express.json({ limit: "2mb" });
+const jsonBundle = express.json({ limit: process.env.BUNDLE_MAX_SIZE || "50mb" });
+app.use((req, res, next) => (req.path === "/api/session/import" ? jsonBundle : jsonDefault)(req, res, next));
 
 /* ======================================================
- * LIVEBOARD (S3) — ikut SESSION
- * GET  /api/liveboard/:sessionId
- * POST /api/liveboard/:sessionId
+ * AUTH (RBAC) — token bertandatangan HMAC
+ * Role: admin > facilitator > panel > observer
+ * Token: "<payload base64url>.<sig>", payload { sub, role, sid?, iat, exp }
+ *   sid = skop session (null = semua session; hanya admin / facilitator)
+ * Hantar sebagai "Authorization: Bearer <token>" (atau ?access_token= untuk EventSource).
+ * AUTH_SECRET tidak diset -> auth dimatikan (semua route terbuka seperti dahulu).
  * ====================================================== */
+const AUTH_SECRET = process.env.AUTH_SECRET || "";
+const AUTH_ENABLED = !!AUTH_SECRET;
+const AUTH_ADMIN_KEY = process.env.AUTH_ADMIN_KEY || "";
+const AUTH_TTL_DEFAULT_MIN = 12 * 60;
+const AUTH_TTL_MAX_MIN = 7 * 24 * 60;
+const ROLE_RANK = { observer: 1, panel: 2, facilitator: 3, admin: 4 };
+
+if (!AUTH_ENABLED) console.warn("⚠️ AUTH_SECRET tidak diset — kawalan akses (RBAC) dimatikan");
+
+function signAuthToken({ name, role, sessionId = null, ttlMinutes = AUTH_TTL_DEFAULT_MIN }) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: name, role, sid: sessionId || null, iat: now, exp: now + Math.round(ttlMinutes * 60) };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig = crypto.createHmac("sha256", AUTH_SECRET).update(body).digest("base64url");
+  return { token: `${body}.${sig}`, payload };
+}
 
-const S3_PREFIX = process.env.S3_PREFIX || "inoss/sessions";
+/** token -> { name, role, sessionId, exp } atau null */
+function verifyAuthToken(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!AUTH_ENABLED || !body || !sig) return null;
 
-function s3KeyLiveboard(sessionId) {
-  const sid = sanitizeSessionId(sessionId); // guna function sedia ada
-  if (!sid) return "";
-  return `${S3_PREFIX}/${sid}/liveboard.json`;
+  const expected = Buffer.from(crypto.createHmac("sha256", AUTH_SECRET).update(body).digest("base64url"));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!ROLE_RANK[payload?.role] || !(payload.exp > Date.now() / 1000)) return null;
+  return { name: String(payload.sub || ""), role: payload.role, sessionId: payload.sid || null, exp: payload.exp };
 }
 
-function streamToString(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on("data", (chunk) => chunks.push(chunk));
-    stream.on("error", reject);
-    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
-  });
+function hasRole(auth, minRole) {
+  return (ROLE_RANK[auth?.role] || 0) >= ROLE_RANK[minRole];
 }
 
-async function s3Exists(key) {
+// session yang disasar oleh request (params / body / query)
+function requestSessionId(req) {
+  return String(
+    req.params?.sessionId || req.params?.session || req.body?.sessionId || req.body?.session || req.query?.sessionId || ""
+  ).trim();
+}
+
+function canAccessSession(auth, sessionId) {
+  return !auth?.sessionId || auth.role === "admin" || !sessionId || auth.sessionId === sessionId;
+}
+
+// baca token pada setiap request (tidak menolak; route guna requireRole)
+app.use((req, res, next) => {
+  const header = String(req.get("Authorization") || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : String(req.query?.access_token || "");
+  req.auth = token ? verifyAuthToken(token) : null;
+  next();
+});
+
+/** middleware route: role minimum + skop session token */
+function requireRole(minRole) {
+  if (!ROLE_RANK[minRole]) throw new Error(`Role tidak dikenali: ${minRole}`);
+
+  return (req, res, next) => {
+    if (!AUTH_ENABLED) return next();
+    if (!req.auth) return res.status(401).json({ ok: false, error: "Token diperlukan (Authorization: Bearer <token>)" });
+    if (!hasRole(req.auth, minRole)) {
+      return res.status(403).json({ ok: false, error: `Akses ditolak: perlukan role ${minRole}`, role: req.auth.role });
+    }
+    if (!canAccessSession(req.auth, requestSessionId(req))) {
+      return res.status(403).json({ ok: false, error: "Token tidak sah untuk session ini" });
+    }
+    return next();
+  };
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function clampTtlMinutes(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, AUTH_TTL_MAX_MIN) : AUTH_TTL_DEFAULT_MIN;
+}
+
+/**
+ * POST /api/auth/token
+ * body: { name, role, sessionId?, ttlMinutes?, adminKey? }
+ * - adminKey (AUTH_ADMIN_KEY) -> boleh keluarkan apa-apa role (bootstrap)
+ * - Bearer admin -> apa-apa role
+ * - Bearer facilitator -> panel / observer sahaja, wajib sessionId dalam skop token
+ */
+app.post("/api/auth/token", (req, res) => {
   try {
-    await s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET_INOSS, Key: key }));
-    return true;
+    if (!AUTH_ENABLED) return res.status(400).json({ ok: false, error: "Auth dimatikan (AUTH_SECRET tidak diset)" });
+
+    const name = String(req.body?.name || "").trim();
+    const role = String(req.body?.role || "").trim().toLowerCase();
+    const sessionId = String(req.body?.sessionId || "").trim() || null;
+    if (!name) return res.status(400).json({ ok: false, error: "name diperlukan" });
+    if (!ROLE_RANK[role]) return res.status(400).json({ ok: false, error: `role mesti salah satu: ${Object.keys(ROLE_RANK).join(", ")}` });
+
+    const isAdmin = safeEqual(req.body?.adminKey, AUTH_ADMIN_KEY) || req.auth?.role === "admin";
+    if (!isAdmin) {
+      if (!req.auth) return res.status(401).json({ ok: false, error: "Token atau adminKey diperlukan" });
+      if (req.auth.role !== "facilitator" || ROLE_RANK[role] >= ROLE_RANK.facilitator) {
+        return res.status(403).json({ ok: false, error: "Tiada kebenaran untuk mengeluarkan token role ini" });
+      }
+      if (!sessionId) return res.status(400).json({ ok: false, error: "sessionId diperlukan untuk token panel/observer" });
+      if (!canAccessSession(req.auth, sessionId)) {
+        return res.status(403).json({ ok: false, error: "Token tidak sah untuk session ini" });
+      }
+    }
+
+    const { token, payload } = signAuthToken({ name, role, sessionId, ttlMinutes: clampTtlMinutes(req.body?.ttlMinutes) });
+    return res.json({ ok: true, token, role, name, sessionId, expiresAt: new Date(payload.exp * 1000).toISOString() });
   } catch (e) {
-    return false;
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/**
+ * POST /api/auth/join  body: { code, name }
+ * Tukar kod join (QR) kepada token; role + session ikut kod, tamat tempoh tidak melebihi kod.
+ */
+app.post("/api/auth/join", async (req, res) => {
+  try {
+    if (!AUTH_ENABLED) return res.status(400).json({ ok: false, error: "Auth dimatikan (AUTH_SECRET tidak diset)" });
+
+    const name = String(req.body?.name || "").trim();
+    if (!name) return res.status(400).json({ ok: false, error: "name diperlukan" });
+
+    const r = await resolveJoinCodeThrottled(req.ip, req.body?.code);
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
+
+    const untilCode = r.expiresAt ? (new Date(r.expiresAt).getTime() - Date.now()) / 60000 : AUTH_TTL_DEFAULT_MIN;
+    const ttlMinutes = Math.min(AUTH_TTL_DEFAULT_MIN, Math.max(1, untilCode));
+    const { token, payload } = signAuthToken({ name, role: r.role, sessionId: r.sessionId, ttlMinutes });
+    return res.json({
+      ok: true,
+      token,
+      role: r.role,
+      name,
+      sessionId: r.sessionId,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
+});
+
+// GET /api/auth/me -> identiti token semasa
+app.get("/api/auth/me", (req, res) => {
+  if (!AUTH_ENABLED) return res.json({ ok: true, enabled: false, auth: null });
+  if (!req.auth) return res.status(401).json({ ok: false, error: "Token tidak sah atau tiada" });
+  return res.json({ ok: true, enabled: true, auth: { ...req.auth, expiresAt: new Date(req.auth.exp * 1000).toISOString() } });
+});
+
+/* ======================================================
+ * LIVEBOARD — ikut SESSION
+ * GET  /api/liveboard/:sessionId
+ * POST /api/liveboard/:sessionId
+ * Kad disimpan dalam session document (lihat 0c CARD WRITE PATH);
+ * liveboard.json lama hanya dibaca semasa migrasi.
+ * ====================================================== */
+
+const S3_PREFIX = process.env.S3_PREFIX || "inoss/sessions";
+
+function s3KeyLiveboard(sessionId) {
+  const sid = sanitizeSessionId(sessionId); // guna function sedia ada
+  if (!sid) return "";
+  return `${S3_PREFIX}/${sid}/liveboard.json`;
 }
 
-async function s3GetJson(key) {
-  const out = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET_INOSS, Key: key }));
-  const text = await streamToString(out.Body);
-  return JSON.parse(text || "{}");
+// bentuk data LiveBoard (serasi dengan liveboard.json lama)
+function liveboardView(s) {
+  return {
+    ...(s.liveboard || {}),
+    sessionId: s.sessionId,
+    cards: s.cards.filter(isCardLive),
+    version: s.version,
+    lastUpdatedAt: s.cardsUpdatedAt || null,
+  };
 }
 
-async function s3PutJson(key, data) {
-  const body = JSON.stringify(data ?? {}, null, 2);
-  await s3.send(
-    new PutObjectCommand({
-      Bucket: S3_BUCKET_INOSS,
-      Key: key,
-      Body: body,
-      ContentType: "application/json",
-      CacheControl: "no-store",
-    })
-  );
-  return true;
+function liveboardConflict(res, sessionId, { currentVersion, expectedVersion }) {
+  return res.status(409).json({
+    ok: false,
+    code: "VERSION_CONFLICT",
+    error: "LiveBoard telah dikemas kini oleh pengguna lain. Sila muat semula dan cuba lagi.",
+    sessionId,
+    currentVersion,
+    expectedVersion,
+  });
 }
 
-// GET: load liveboard.json ikut session
-app.get("/api/liveboard/:sessionId", async (req, res) => {
+// GET: load LiveBoard ikut session
+app.get("/api/liveboard/:sessionId", requireRole("observer"), async (req, res) => {
   try {
     const sidRaw = String(req.params.sessionId || "").trim();
     if (!sidRaw) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
 
-    if (!S3_BUCKET_INOSS) {
-      return res.status(500).json({ ok: false, error: "S3_BUCKET_INOSS belum diset" });
-    }
+    const s = await loadSession(sidRaw);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    return res.json({
+      ok: true,
+      sessionId: sidRaw,
+      source: "session",
+      data: liveboardView(s),
+      // baseline untuk catch-up (session:join { lastSeq: seq, epoch })
+      seq: broadcastSeq(sidRaw),
+      epoch: BROADCAST_EPOCH,
+    });
+  } catch (err) {
+    console.error("GET /api/liveboard error:", err);
+    return res.status(500).json({ ok: false, error: "Gagal load LiveBoard" });
+  }
+});
 
-    const key = s3KeyLiveboard(sidRaw);
-    if (!key) return res.status(400).json({ ok: false, error: "S3 key tidak sah" });
+// GET: perubahan sejak seq tertentu (fallback REST untuk catch-up Socket.IO)
+// ?sinceSeq=<n>&epoch=<epoch> -> { items } atau { resync: true, data } jika buffer tak cukup
+app.get("/api/liveboard/:sessionId/changes", requireRole("observer"), async (req, res) => {
+  try {
+    const sidRaw = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sidRaw);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-    const exists = await s3Exists(key);
-    if (!exists) {
+    const delta = broadcastsSince(sidRaw, req.query?.sinceSeq ?? 0, req.query?.epoch);
+    if (!delta) {
       return res.json({
         ok: true,
         sessionId: sidRaw,
-        source: "default",
-        data: { sessionId: sidRaw, cards: [], version: 1, lastUpdatedAt: null },
+        resync: true,
+        seq: broadcastSeq(sidRaw),
+        epoch: BROADCAST_EPOCH,
+        data: liveboardView(s),
       });
     }
 
-    const data = await s3GetJson(key);
-    return res.json({ ok: true, sessionId: sidRaw, source: "s3", data });
+    return res.json({
+      ok: true,
+      sessionId: sidRaw,
+      resync: false,
+      seq: delta.seq,
+      epoch: BROADCAST_EPOCH,
+      items: delta.items.map(({ seq, event, payload }) => ({ seq, event, payload })),
+    });
   } catch (err) {
-    console.error("GET /api/liveboard error:", err);
-    return res.status(500).json({ ok: false, error: "Gagal load LiveBoard dari S3" });
+    console.error("GET /api/liveboard/:sessionId/changes error:", err);
+    return res.status(500).json({ ok: false, error: "Gagal baca perubahan LiveBoard" });
   }
 });
 
-// POST: save liveboard.json ikut session
-app.post("/api/liveboard/:sessionId", async (req, res) => {
+// GET: Server-Sent Events (fallback bila WebSocket disekat proxy)
+// Event sama seperti room Socket.IO; id = "<epoch>:<seq>" supaya browser hantar Last-Event-ID bila reconnect.
+// Event "snapshot" = board penuh (sambungan pertama, atau Last-Event-ID tak boleh disambung).
+const SSE_KEEPALIVE_MS = 25 * 1000;
+
+function writeSse(res, { id, event, data }) {
+  if (id !== undefined) res.write(`id: ${BROADCAST_EPOCH}:${id}\n`);
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// komen kosong supaya proxy tak tutup sambungan yang senyap
+setInterval(() => {
+  Object.values(sseClients).forEach((set) => set.forEach((res) => res.write(": ping\n\n")));
+}, SSE_KEEPALIVE_MS).unref();
+
+app.get("/api/liveboard/:sessionId/stream", requireRole("observer"), async (req, res) => {
   try {
     const sidRaw = String(req.params.sessionId || "").trim();
-    if (!sidRaw) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    const s = await loadSession(sidRaw);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx: jangan buffer
+    });
+    res.write("retry: 3000\n\n");
+
+    // Last-Event-ID (header, atau ?lastEventId= untuk klien tanpa EventSource)
+    const lastEventId = String(req.get("Last-Event-ID") || req.query?.lastEventId || "");
+    const [epoch, lastSeq] = lastEventId.includes(":") ? lastEventId.split(":") : [null, null];
+    const delta = lastEventId ? broadcastsSince(sidRaw, lastSeq, epoch || "-") : null;
 
-    if (!S3_BUCKET_INOSS) {
-      return res.status(500).json({ ok: false, error: "S3_BUCKET_INOSS belum diset" });
+    if (delta) {
+      delta.items.forEach(({ seq, event, payload }) => writeSse(res, { id: seq, event, data: payload }));
+    } else {
+      writeSse(res, {
+        id: broadcastSeq(sidRaw),
+        event: "snapshot",
+        data: { sessionId: sidRaw, resumed: false, seq: broadcastSeq(sidRaw), epoch: BROADCAST_EPOCH, board: liveboardView(s) },
+      });
     }
 
-    const key = s3KeyLiveboard(sidRaw);
-    if (!key) return res.status(400).json({ ok: false, error: "S3 key tidak sah" });
+    (sseClients[sidRaw] = sseClients[sidRaw] || new Set()).add(res);
+    req.on("close", () => {
+      sseClients[sidRaw]?.delete(res);
+      if (sseClients[sidRaw] && !sseClients[sidRaw].size) delete sseClients[sidRaw];
+    });
+  } catch (err) {
+    console.error("GET /api/liveboard/:sessionId/stream error:", err);
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: "Gagal buka stream LiveBoard" });
+    res.end();
+  }
+});
+
+// POST: save LiveBoard ikut session
+// Overwrite penuh — mesti hantar `version` yang dimuatkan (atau header If-Match: <version>).
+// Jika board sudah berubah sejak itu -> 409 VERSION_CONFLICT.
+app.post("/api/liveboard/:sessionId", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sidRaw = String(req.params.sessionId || "").trim();
+    if (!sidRaw) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    if (!(await loadSession(sidRaw))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
     const incoming = req.body?.data ?? req.body ?? {};
-    const dataToSave = {
-      ...incoming,
-      sessionId: sidRaw,
-      version: Number(incoming?.version || 1),
-      lastUpdatedAt: new Date().toISOString(),
-    };
+    // If-Match mesti nombor versi LiveBoard (boleh dalam "..."); ETag lemah / rawak -> 400
+    const ifMatch = String(req.get("If-Match") || "").trim().replace(/^"(.*)"$/, "$1");
+    const expectedVersion = Number(ifMatch || incoming?.version || 1);
+    if (!Number.isInteger(expectedVersion) || expectedVersion < 1) {
+      return res.status(400).json({ ok: false, error: "If-Match / version mesti nombor versi positif" });
+    }
+
+    // medan lain (selain kad) disimpan sebagai meta LiveBoard
+    const { cards, version, sessionId, lastUpdatedAt, ...meta } = incoming || {};
+
+    const out = await replaceSessionCards(sidRaw, Array.isArray(cards) ? cards : [], {
+      source: "liveboard",
+      expectedVersion,
+      liveboardMeta: meta,
+      actor: requestActor(req),
+    });
 
-    await s3PutJson(key, dataToSave);
-    return res.json({ ok: true, sessionId: sidRaw, saved: true, key });
+    if (out.conflict) return liveboardConflict(res, sidRaw, { currentVersion: out.currentVersion, expectedVersion });
+
+    return res.json({ ok: true, sessionId: sidRaw, saved: true, version: out.version });
   } catch (err) {
     console.error("POST /api/liveboard error:", err);
-    return res.status(500).json({ ok: false, error: "Gagal simpan LiveBoard ke S3" });
+    return res.status(500).json({ ok: false, error: "Gagal simpan LiveBoard" });
   }
 });
 
 // ======================================================
-// LIVEBOARD (S3) — APPEND CARD (Panel Input)
+// LIVEBOARD — APPEND CARD (Panel Input)
 // POST /api/liveboard/:sessionId/append
 // body: { panelName, activity }
+// Selamat untuk submit serentak (queue per session); version naik setiap append.
 // ======================================================
-app.post("/api/liveboard/:sessionId/append", async (req, res) => {
+app.post("/api/liveboard/:sessionId/append", requireRole("panel"), requirePhase("cards.write"), async (req, res) => {
   try {
     const sessionIdRaw = String(req.params.sessionId || "").trim();
     if (!sessionIdRaw) {
       return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
     }
-
-    if (!S3_BUCKET_INOSS) {
-      return res.status(500).json({ ok: false, error: "S3_BUCKET_INOSS belum diset" });
-    }
+    if (!(await loadSession(sessionIdRaw))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
     const panelName = String(req.body?.panelName || req.body?.name || "").trim();
     const activity = String(req.body?.activity || req.body?.text || "").trim();
@@ -236,54 +682,25 @@ app.post("/api/liveboard/:sessionId/append", async (req, res) => {
     if (!panelName) return res.status(400).json({ ok: false, error: "Nama panel diperlukan" });
     if (!activity) return res.status(400).json({ ok: false, error: "Aktiviti kerja diperlukan" });
 
-    const key = s3KeyLiveboard(sessionIdRaw);
-    if (!key) return res.status(400).json({ ok: false, error: "S3 key tidak sah" });
-
-    // Load liveboard semasa (jika tiada, mula dengan default)
-    let board = { sessionId: sessionIdRaw, cards: [], version: 1, lastUpdatedAt: null };
-    const exists = await s3Exists(key);
-    if (exists) {
-      try {
-        board = await s3GetJson(key);
-      } catch {
-        // kalau JSON rosak, fallback ke default
-        board = { sessionId: sessionIdRaw, cards: [], version: 1, lastUpdatedAt: null };
-      }
-    }
-
-    const cards = Array.isArray(board.cards) ? board.cards : [];
-
-    const now = new Date();
-    const newCard = {
-      id: crypto.randomUUID ? crypto.randomUUID() : String(now.getTime()) + "-" + Math.random().toString(16).slice(2),
-      activity,            // LiveBoard render guna c.activity || c.name
-      panelName,
-      time: now.toISOString(),      // optional, LiveBoard display sebelah kanan
-      createdAt: now.toISOString(), // untuk audit
+    const out = await appendSessionCards(sessionIdRaw, [{ activity, panelName }], {
       source: "panel",
-    };
-
-    // Append + kemas kini meta
-    const nextBoard = {
-      ...board,
-      sessionId: sessionIdRaw,
-      cards: [...cards, newCard],
-      version: Number(board?.version || 1),
-      lastUpdatedAt: now.toISOString(),
-    };
-
-    await s3PutJson(key, nextBoard);
+      actor: requestActor(req),
+      moderate: requestNeedsModeration(req),
+    });
 
     return res.json({
       ok: true,
       sessionId: sessionIdRaw,
       appended: true,
-      card: newCard,
-      totalCards: nextBoard.cards.length,
+      card: out.cards[0],
+      status: cardStatus(out.cards[0]),
+      possibleDuplicates: out.possibleDuplicates[0]?.matches || [],
+      totalCards: out.total,
+      version: out.version,
     });
   } catch (err) {
     console.error("POST /api/liveboard/:sessionId/append error:", err);
-    return res.status(500).json({ ok: false, error: "Gagal append kad ke LiveBoard (S3)" });
+    return res.status(500).json({ ok: false, error: "Gagal append kad ke LiveBoard" });
   }
 });
 
@@ -300,16 +717,29 @@ app.get("/health", (req, res) => {
   res.json({
     status: "ok",
     service: "dacum-backend",
+    storage: STORAGE_DRIVER,
+    sessionStore: sessionStore.name,
     time: new Date().toISOString(),
   });
 });
 app.get("/", (req, res) => res.send("iNOSS Backend OK"));
 
+// bentuk item panel_inputs.json lama (serasi dengan frontend Panel)
+function toPanelItem(card, sessionId) {
+  return {
+    id: card.id,
+    sessionId,
+    panelName: card.panelName || "",
+    text: card.activity,
+    createdAt: card.createdAt || card.time || null,
+  };
+}
+
 /**
  * POST /api/panel/submit
  * body: { sessionId, panelName, text }
  */
-app.post("/api/panel/submit", async (req, res) => {
+app.post("/api/panel/submit", requireRole("panel"), requirePhase("cards.write"), async (req, res) => {
   try {
     const sessionIdRaw = req.body?.sessionId;
     const panelName = String(req.body?.panelName || "").trim();
@@ -318,57 +748,45 @@ app.post("/api/panel/submit", async (req, res) => {
     const sessionId = sanitizeSessionId(sessionIdRaw);
 
     if (!sessionId) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    if (!(await loadSession(sessionId))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
     if (!panelName) return res.status(400).json({ ok: false, error: "nama panel wajib" });
     if (!text) return res.status(400).json({ ok: false, error: "input aktiviti kerja wajib" });
 
-    if (!S3_BUCKET_INOSS) {
-      return res.status(500).json({ ok: false, error: "S3_BUCKET_INOSS belum diset" });
-    }
-
-    const key = `sessions/${sessionId}/panel_inputs.json`;
-
-    // ambil data sedia ada, append, simpan balik
-    const existing = await s3GetJson(key, { sessionId, items: [] });
-
-    const item = {
-      id: `${Date.now()}-${Math.random().toString(16).slice(2)}`,
-      sessionId,
-      panelName,
-      text,
-      createdAt: new Date().toISOString(),
-    };
-
-    existing.sessionId = sessionId;
-    existing.items = Array.isArray(existing.items) ? existing.items : [];
-    existing.items.push(item);
-
-    await s3PutJson(key, existing);
+    const out = await appendSessionCards(sessionId, [{ activity: text, panelName }], {
+      source: "panel-submit",
+      actor: requestActor(req),
+      moderate: requestNeedsModeration(req),
+    });
 
-    return res.json({ ok: true, saved: item });
+    return res.json({
+      ok: true,
+      saved: toPanelItem(out.cards[0], sessionId),
+      status: cardStatus(out.cards[0]),
+      possibleDuplicates: out.possibleDuplicates[0]?.matches || [],
+    });
   } catch (e) {
-    console.error("panel submit s3 error:", e);
-    return res.status(500).json({ ok: false, error: "Gagal simpan ke S3" });
+    console.error("panel submit error:", e);
+    return res.status(500).json({ ok: false, error: "Gagal simpan input panel" });
   }
 });
 
 /**
  * GET /api/panel/list/:sessionId
+ * Semua kad session (apa jua entry point) dalam bentuk item panel.
  */
-app.get("/api/panel/list/:sessionId", async (req, res) => {
+app.get("/api/panel/list/:sessionId", requireRole("observer"), async (req, res) => {
   try {
     const sessionId = sanitizeSessionId(req.params.sessionId);
     if (!sessionId) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
-    if (!S3_BUCKET_INOSS) {
-      return res.status(500).json({ ok: false, error: "S3_BUCKET_INOSS belum diset" });
-    }
 
-    const key = `sessions/${sessionId}/panel_inputs.json`;
-    const data = await s3GetJson(key, { sessionId, items: [] });
+    const s = await loadSession(sessionId);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-    return res.json({ ok: true, sessionId, items: data.items || [] });
+    const items = s.cards.filter(isCardLive).map((c) => toPanelItem(c, sessionId));
+    return res.json({ ok: true, sessionId, items });
   } catch (e) {
-    console.error("panel list s3 error:", e);
-    return res.status(500).json({ ok: false, error: "Gagal baca dari S3" });
+    console.error("panel list error:", e);
+    return res.status(500).json({ ok: false, error: "Gagal baca input panel" });
   }
 });
 
@@ -377,46 +795,302 @@ app.get("/api/panel/list/:sessionId", async (req, res) => {
  * ====================================================== */
 const sessions = {}; // { [sessionId]: { sessionId, createdAt, updatedAt, cards: [], lang, langLocked, lockedAt, cus?, appliedAt? } }
 const clusterStore = {}; // { [sessionId]: last cluster result }
+const cpStore = {}; // { [sessionId]: { [cuKey]: { latestVersion: "v1", versions: [{version, cp}] } } }
+const cpcStore = {}; // { [sessionId]: { latestVersion, frozenVersion, versions: [{version, cpc, ...}] } }
+const clusterRunStore = {}; // { [sessionId]: { runs: [{ runId, ranAt, ranBy, params, result }] } }
+const eventStore = {}; // { [sessionId]: { seq, events: [] } } — audit trail append-only
 
 /** util */
 function nowISO() {
   return new Date().toISOString();
 }
-function ensureSession(sessionId) {
-  const sid = String(sessionId || "").trim();
-  if (!sid) return null;
 
-  if (!sessions[sid]) {
-    sessions[sid] = {
-      sessionId: sid,
-      createdAt: nowISO(),
-      updatedAt: nowISO(),
-      cards: [],
-      lang: "MS",        // "MS" | "EN"
-      langLocked: false, // lock bila run cluster / agreed
-      lockedAt: null,
-      terasTitle: "Pengurusan & Pengimarahan Masjid",
-      cus: [],           // optional (hasil apply cluster)
-      appliedAt: null,
-    };
-  }
-  if (!Array.isArray(sessions[sid].cards)) sessions[sid].cards = [];
-  return sessions[sid];
-}
-function getSessionCards(sessionId) {
-  const s = ensureSession(sessionId);
-  return s ? s.cards : [];
-}
-function setSessionCards(sessionId, newCardsArray) {
-  const s = ensureSession(sessionId);
-  if (!s) return;
-  s.cards = Array.isArray(newCardsArray) ? newCardsArray : [];
-  s.updatedAt = nowISO();
-}
-function getCardText(card) {
-  return String(
-    card?.activity ||
-      card?.activityTitle ||
+/* ======================================================
+ * 0b) SESSION STORE (DURABLE)
+ * sessions / clusterStore / cpStore = cache memory sahaja.
+ * Setiap perubahan dipersist ke backend supaya restart/redeploy (Render)
+ * tak hilangkan kad, CU yang di-apply dan semua versi CP.
+ *
+ * SESSION_STORE=s3 | fs  (default: s3 jika object store sedia, jika tidak fs)
+ *   s3 : object store (STORAGE_DRIVER: S3 / MinIO / local)
+ *        <S3_PREFIX>/<sid>/session.json | cluster.json | clusterRuns.json | cp.json | cpc.json | events.json (+ events-<n>.json)
+ *   fs : <SESSION_FS_DIR>/<sid>/session.json | cluster.json | clusterRuns.json | cp.json | cpc.json | events.json (+ events-<n>.json)
+ *   indeks katalog (GET /api/sessions): <S3_PREFIX>/_catalog.json atau <SESSION_FS_DIR>/_catalog.json
+ * ====================================================== */
+const SESSION_FS_DIR = process.env.SESSION_FS_DIR || path.join(__dirname, "data", "sessions");
+
+// nama dokumen -> store memory yang berkaitan
+const SESSION_DOCS = {
+  session: sessions,
+  cluster: clusterStore,
+  clusterRuns: clusterRunStore,
+  cp: cpStore,
+  cpc: cpcStore,
+  events: eventStore,
+};
+const SESSION_DOC_NAMES = Object.keys(SESSION_DOCS);
+
+function createS3SessionBackend() {
+  // sid mesti segmen tunggal yang sah — ".." akan padam/tulis di luar S3_PREFIX
+  const prefixOf = (sid) => {
+    if (!SESSION_ID_RE.test(String(sid || ""))) throw new Error(`sessionId tidak sah: ${sid}`);
+    return `${S3_PREFIX}/${sid}`;
+  };
+  const keyOf = (sid, doc) => `${prefixOf(sid)}/${doc}.json`;
+  return {
+    name: "s3",
+    async read(sid, doc) {
+      const key = keyOf(sid, doc);
+      if (!(await s3Exists(key))) return null;
+      return await s3GetJson(key);
+    },
+    async write(sid, doc, data) {
+      await s3PutJson(keyOf(sid, doc), data);
+    },
+    async list() {
+      return await s3ListDirs(S3_PREFIX);
+    },
+    async remove(sid) {
+      await s3DeletePrefix(prefixOf(sid));
+    },
+    // dokumen peringkat store (bukan per session), contoh indeks katalog: <S3_PREFIX>/_catalog.json
+    async readIndex(name) {
+      const key = `${S3_PREFIX}/_${name}.json`;
+      if (!(await s3Exists(key))) return null;
+      return await s3GetJson(key);
+    },
+    async writeIndex(name, data) {
+      await s3PutJson(`${S3_PREFIX}/_${name}.json`, data);
+    },
+  };
+}
+
+function createFsSessionBackend(baseDir) {
+  const root = path.resolve(baseDir);
+  // sid -> folder session, elak keluar dari SESSION_FS_DIR (sama seperti localObjectPath)
+  const dirOf = (sid) => {
+    const dir = path.resolve(root, String(sid || ""));
+    if (!dir.startsWith(root + path.sep)) throw new Error(`sessionId tidak sah: ${sid}`);
+    return dir;
+  };
+  const fileOf = (sid, doc) => path.join(dirOf(sid), `${doc}.json`);
+  const indexFileOf = (name) => path.join(root, `_${name}.json`);
+  const readFile = async (file) => {
+    try {
+      const text = await fs.promises.readFile(file, "utf8");
+      return JSON.parse(text || "null");
+    } catch (e) {
+      if (e?.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+  const writeFile = async (file, data) => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // tulis ke fail sementara dahulu, kemudian rename (elak JSON separuh jika crash)
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+    await fs.promises.rename(tmp, file);
+  };
+  return {
+    name: "fs",
+    async read(sid, doc) {
+      return await readFile(fileOf(sid, doc));
+    },
+    async write(sid, doc, data) {
+      await writeFile(fileOf(sid, doc), data);
+    },
+    async list() {
+      try {
+        const entries = await fs.promises.readdir(root, { withFileTypes: true });
+        return entries.filter((e) => e.isDirectory()).map((e) => e.name);
+      } catch (e) {
+        if (e?.code === "ENOENT") return [];
+        throw e;
+      }
+    },
+    async remove(sid) {
+      await fs.promises.rm(dirOf(sid), { recursive: true, force: true });
+    },
+    // dokumen peringkat store (fail di akar SESSION_FS_DIR, bukan folder — list() tidak nampak)
+    async readIndex(name) {
+      return await readFile(indexFileOf(name));
+    },
+    async writeIndex(name, data) {
+      await writeFile(indexFileOf(name), data);
+    },
+  };
+}
+
+function createSessionStore() {
+  const driver = String(process.env.SESSION_STORE || (objectStoreReady() ? "s3" : "fs")).trim().toLowerCase();
+  if (driver === "s3") {
+    if (!objectStoreReady()) throw new Error("SESSION_STORE=s3 perlukan S3_BUCKET_INOSS (atau STORAGE_DRIVER=local)");
+    return createS3SessionBackend();
+  }
+  if (driver === "fs") return createFsSessionBackend(SESSION_FS_DIR);
+  throw new Error(`SESSION_STORE tidak dikenali: ${driver} (guna "s3" atau "fs")`);
+}
+
+const sessionStore = createSessionStore();
+
+const loadedSessions = new Set(); // sid yang sudah di-hydrate dari store
+const sessionLoads = new Map(); // sid -> Promise (elak load berganda serentak)
+const persistChains = new Map(); // "<sid>:<doc>" -> Promise (tulis ikut turutan)
+
+function isSessionVersion(v) {
+  return Number.isInteger(v) && v >= 1;
+}
+
+/**
+ * Hydrate sessions/clusterStore/cpStore[sid] dari store (sekali sahaja per proses).
+ * Tidak cipta session baharu — session dicipta melalui POST /api/sessions (atau import).
+ */
+async function loadSession(sessionId) {
+  const sid = String(sessionId || "").trim();
+  const key = sanitizeSessionId(sid);
+  if (!sid || !key) return null;
+  if (loadedSessions.has(sid)) return sessions[sid] || null;
+
+  if (!sessionLoads.has(sid)) {
+    const p = (async () => {
+      const docs = await Promise.all(
+        SESSION_DOC_NAMES.map((doc) => (doc === "events" ? readEventLog(key, sid) : sessionStore.read(key, doc)))
+      );
+      SESSION_DOC_NAMES.forEach((doc, i) => {
+        const store = SESSION_DOCS[doc];
+        // memory menang jika sudah ada (contoh: ditulis semasa load berjalan)
+        if (docs[i] && store[sid] === undefined) store[sid] = docs[i];
+      });
+      await migrateLegacyCardsOnLoad(sid);
+      // dokumen lama tanpa version -> 1 (semakan If-Match LiveBoard banding s.version terus)
+      if (sessions[sid] && !isSessionVersion(sessions[sid].version)) sessions[sid].version = 1;
+      loadedSessions.add(sid);
+    })().finally(() => sessionLoads.delete(sid));
+    sessionLoads.set(sid, p);
+  }
+
+  await sessionLoads.get(sid);
+  return sessions[sid] || null;
+}
+
+/* ------------------------------------------------------
+ * Event log bersegmen (lihat 0e): events.json = meta, events-<n>.json = chunk
+ * eventChunksSaved[sid] = bilangan chunk penuh yang sudah ada dalam store (tak perlu ditulis semula)
+ * ------------------------------------------------------ */
+const EVENT_CHUNK_SIZE = 200;
+const eventChunksSaved = new Map();
+
+async function readEventLog(key, sid) {
+  const meta = await sessionStore.read(key, "events");
+  if (!meta) return null;
+  // format lama: { seq, events: [...] } dalam satu fail -> ditulis semula sebagai chunk pada persist seterusnya
+  if (Array.isArray(meta.events)) {
+    eventChunksSaved.set(sid, 0);
+    return meta;
+  }
+  const chunks = await Promise.all(Array.from({ length: Number(meta.chunks) || 0 }, (_, i) => sessionStore.read(key, `events-${i}`)));
+  const events = chunks.flatMap((c) => (Array.isArray(c) ? c : []));
+  eventChunksSaved.set(sid, Math.floor(events.length / EVENT_CHUNK_SIZE));
+  return { seq: Number(meta.seq) || events.length, events };
+}
+
+/** tulis chunk yang berubah (dari chunk penuh terakhir yang disimpan) kemudian meta */
+async function writeEventLog(key, sid, { seq, events }) {
+  const total = Math.ceil(events.length / EVENT_CHUNK_SIZE);
+  const from = Math.min(eventChunksSaved.get(sid) || 0, Math.max(0, total - 1));
+  for (let i = from; i < total; i++) {
+    await sessionStore.write(key, `events-${i}`, events.slice(i * EVENT_CHUNK_SIZE, (i + 1) * EVENT_CHUNK_SIZE));
+  }
+  await sessionStore.write(key, "events", { seq, chunkSize: EVENT_CHUNK_SIZE, chunks: total, count: events.length });
+  eventChunksSaved.set(sid, Math.max(eventChunksSaved.get(sid) || 0, Math.floor(events.length / EVENT_CHUNK_SIZE)));
+}
+
+/**
+ * Persist dokumen session ke store.
+ * docs: subset SESSION_DOC_NAMES (default semua). Tulisan per dokumen dirantai
+ * supaya snapshot lama tak menimpa snapshot baru.
+ */
+async function persistSession(sessionId, docs = SESSION_DOC_NAMES) {
+  const sid = String(sessionId || "").trim();
+  const key = sanitizeSessionId(sid);
+  if (!sid || !key) return;
+
+  await Promise.all(
+    docs.map((doc) => {
+      const store = SESSION_DOCS[doc];
+      if (!store || store[sid] === undefined) return null;
+
+      // event tidak berubah selepas direkod — salin senarai sahaja, bukan setiap event
+      const snapshot = doc === "events" ? { seq: store[sid].seq, events: store[sid].events.slice() } : structuredClone(store[sid]);
+      const chainKey = `${key}:${doc}`;
+      const prev = persistChains.get(chainKey) || Promise.resolve();
+      const next = prev
+        .catch(() => {})
+        .then(() => (doc === "events" ? writeEventLog(key, sid, snapshot) : sessionStore.write(key, doc, snapshot)));
+
+      persistChains.set(chainKey, next);
+      next
+        .finally(() => {
+          if (persistChains.get(chainKey) === next) persistChains.delete(chainKey);
+        })
+        .catch(() => {});
+      return next;
+    }).concat(docs.some((doc) => CATALOG_DOCS.includes(doc)) ? [updateSessionCatalog(sid)] : [])
+  );
+}
+
+// tajuk teras lalai untuk session baru (boleh diedit: PUT /api/session/:sessionId/teras)
+const DEFAULT_TERAS_TITLE = String(process.env.DEFAULT_TERAS_TITLE || "Teras 1").trim();
+
+function newSessionDoc(sid) {
+  return {
+    sessionId: sid,
+    createdAt: nowISO(),
+    updatedAt: nowISO(),
+    cards: [],
+    version: 1,        // naik setiap perubahan kad (konflik LiveBoard)
+    lang: "MS",        // "MS" | "EN"
+    langLocked: false, // lock bila run cluster / agreed
+    lockedAt: null,
+    terasTitle: DEFAULT_TERAS_TITLE, // = teras[0].terasTitle (compat)
+    teras: [{ terasCode: "T01", terasTitle: DEFAULT_TERAS_TITLE }],
+    cus: [],           // optional (hasil apply cluster)
+    appliedAt: null,
+    status: "active",  // "active" | "archived"
+    archivedAt: null,
+    moderation: false, // true -> kad panel masuk sebagai "pending"
+    phase: "brainstorm", // lihat 2h) WORKSHOP PHASE
+    phaseChangedAt: null,
+    // session baru dicipta selepas loadSession semak fail lama -> tiada apa nak dimigrasi
+    legacyMigratedAt: nowISO(),
+  };
+}
+
+// kad soft-delete (deletedAt) kekal dalam s.cards untuk restore/undo, tapi tidak dikira
+function isCardActive(card) {
+  return !!card && !card.deletedAt;
+}
+
+// status moderasi: "pending" | "approved" | "rejected" (kad lama tiada status = approved)
+function cardStatus(card) {
+  return card?.status || "approved";
+}
+
+// kad yang dipaparkan di LiveBoard dan dikira untuk cluster / CPC
+function isCardLive(card) {
+  return isCardActive(card) && cardStatus(card) === "approved";
+}
+
+// baca sahaja — tidak cipta session (GET tersasar tak wujudkan session baru)
+async function getSessionCards(sessionId) {
+  const s = await loadSession(sessionId);
+  return s && Array.isArray(s.cards) ? s.cards.filter(isCardLive) : [];
+}
+
+function getCardText(card) {
+  return String(
+    card?.activity ||
+      card?.activityTitle ||
       card?.waTitle ||
       card?.wa ||
       card?.title ||
@@ -426,192 +1100,3122 @@ function getCardText(card) {
   ).trim();
 }
 
+/* ======================================================
+ * 0c) CARD WRITE PATH (SATU SAHAJA)
+ * Semua entry point kad — /cards, /api/cards, /api/liveboard, /api/panel/submit,
+ * /api/s2/seed-wa — tulis ke sessions[sid].cards melalui fungsi di bawah.
+ *
+ * Kad canonical:
+ * { id, activity, panelName, name, source, time, createdAt, updatedAt?, cu?, cuTitle?, wa?,
+ *   deletedAt?, deletedBy?, mergedInto?, mergedFrom?: [{ id, activity, panelName, createdAt }] }
+ * ====================================================== */
+function newCardId() {
+  return crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function normalizeCard(raw, { source = "" } = {}) {
+  const now = nowISO();
+  const activity = String(raw?.activity || raw?.text || raw?.title || raw?.waTitle || raw?.wa || "").trim() || getCardText(raw);
+  // kad lama: `name` = nama panel (kecuali /api/cards lama yang isi name = aktiviti)
+  const legacyName = String(raw?.name || "").trim();
+  const panelName = String(raw?.panelName || (legacyName !== activity ? legacyName : "")).trim();
+
+  return {
+    ...raw,
+    id: raw?.id === null || raw?.id === undefined || raw?.id === "" ? newCardId() : raw.id,
+    activity,
+    panelName,
+    name: panelName || "Panel",
+    source: String(raw?.source || raw?._src || source || "api").trim(),
+    time: String(raw?.time || raw?.createdAt || raw?.timestamp || now),
+    createdAt: String(raw?.createdAt || raw?.time || raw?.timestamp || now),
+  };
+}
+
+/**
+ * Jalankan perubahan kad secara bersiri per session.
+ * fn(session) boleh pulangkan { conflict: true } / { notFound: true } / { error } untuk batal tanpa simpan.
+ */
+function withCardWrite(sessionId, fn) {
+  const sid = String(sessionId || "").trim();
+  return withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+    // route semak session dahulu (404); ini hanya jika session dipadam sementara menunggu queue
+    const s = await loadSession(sid);
+    if (!s) throw new Error("Session tidak ditemui");
+    if (!Array.isArray(s.cards)) s.cards = [];
+
+    const out = await fn(s);
+    if (out?.conflict || out?.notFound || out?.error) return out;
+
+    s.version += 1;
+    s.cardsUpdatedAt = nowISO();
+    s.updatedAt = s.cardsUpdatedAt;
+    await persistSession(sid, ["session"]);
+    return { ...out, version: s.version, total: s.cards.length };
+  });
+}
+
+/**
+ * Tambah kad. moderate: true (semua entry point bukan fasilitator: requestNeedsModeration)
+ * -> kad jadi "pending" jika session.moderation aktif.
+ */
+async function appendSessionCards(sessionId, rawCards, { source, actor, moderate = false } = {}) {
+  const sid = String(sessionId || "").trim();
+  const out = await withCardWrite(sid, async (s) => {
+    const cards = (Array.isArray(rawCards) ? rawCards : [])
+      .map((c) => normalizeCard(c, { source }))
+      .filter((c) => c.activity);
+    if (moderate && s.moderation) cards.forEach((c) => (c.status = "pending"));
+
+    // semak duplikat terhadap kad sedia ada (termasuk kad awal dalam batch yang sama)
+    // liveOnly: hasil pergi ke card:new awam dan response pemanggil (mungkin panel)
+    const possibleDuplicates = [];
+    const profileOf = cardProfileCache(s.lang);
+    for (const card of cards) {
+      const matches = findPossibleDuplicates(sid, card.activity, s.cards, { profileOf, liveOnly: true });
+      if (matches.length) possibleDuplicates.push({ cardId: card.id, matches });
+      s.cards.push(card);
+    }
+
+    if (cards.length) {
+      await recordEvent(sid, { type: "cards.created", actor, target: { cardIds: cards.map((c) => c.id), source: source || null }, after: cards });
+    }
+    return { cards, possibleDuplicates };
+  });
+
+  for (const card of out.cards) {
+    const dup = out.possibleDuplicates.find((d) => d.cardId === card.id);
+    const payload = { session: sid, card, possibleDuplicates: dup ? dup.matches : [] };
+    // kad pending hanya untuk queue fasilitator; card:new (awam) dihantar bila diluluskan
+    if (cardStatus(card) === "pending") broadcastToFacilitators(sid, "card:pending", payload);
+    else broadcast(sid, "card:new", payload);
+  }
+  return out;
+}
+
+/**
+ * Ganti semua kad session.
+ * expectedVersion (optional): jika tidak sama dengan version semasa -> { conflict, currentVersion }
+ */
+async function replaceSessionCards(sessionId, rawCards, { source, expectedVersion, liveboardMeta, actor } = {}) {
+  const sid = String(sessionId || "").trim();
+  const out = await withCardWrite(sid, async (s) => {
+    if (expectedVersion !== undefined && Number(expectedVersion) !== s.version) {
+      return { conflict: true, currentVersion: s.version };
+    }
+
+    const before = s.cards;
+    const incoming = (Array.isArray(rawCards) ? rawCards : [])
+      .map((c) => normalizeCard(c, { source }))
+      .filter((c) => c.activity);
+    // kad dalam tong sampah / belum dimoderasi tak dihantar balik oleh LiveBoard — kekalkan
+    const incomingIds = new Set(incoming.map((c) => String(c.id)));
+    const hidden = before.filter((c) => !isCardLive(c) && !incomingIds.has(String(c.id)));
+
+    s.cards = [...incoming, ...hidden];
+    s.cardUndo = []; // snapshot lama tak lagi sepadan
+    if (liveboardMeta) s.liveboard = liveboardMeta;
+
+    await recordEvent(sid, {
+      type: "cards.replaced",
+      actor,
+      target: { source: source || null, removed: before.filter((c) => !incomingIds.has(String(c.id)) && isCardLive(c)).length },
+      after: s.cards,
+    });
+    return { cards: s.cards };
+  });
+
+  if (out.cards) {
+    broadcast(sid, "card:replace", { session: sid, cards: out.cards.filter(isCardLive), version: out.version });
+  }
+  return out;
+}
+
+/**
+ * Kemas kini satu kad. patch(card) -> kad baharu.
+ * Return { card } atau { notFound: true }.
+ */
+async function updateSessionCard(sessionId, cardId, patch, { actor } = {}) {
+  const sid = String(sessionId || "").trim();
+  const id = String(cardId || "").trim();
+  const out = await withCardWrite(sid, async (s) => {
+    const idx = s.cards.findIndex((c) => String(c.id) === id);
+    if (idx === -1) return { notFound: true };
+
+    const before = s.cards[idx];
+    s.cards[idx] = { ...patch(before), updatedAt: nowISO() };
+    pushCardUndo(s, "update", [before], actor);
+    await recordEvent(sid, { type: "card.updated", actor, target: { cardId: before.id }, before, after: s.cards[idx] });
+    return { card: s.cards[idx] };
+  });
+
+  if (out.card) broadcast(sid, "card:update", { session: sid, card: out.card });
+  return out;
+}
+
+/* ------------------------------------------------------
+ * Lifecycle kad: edit teks, soft-delete, restore, merge, undo
+ * Setiap operasi simpan snapshot kad terlibat dalam s.cardUndo (LIFO)
+ * ------------------------------------------------------ */
+const CARD_UNDO_KEEP = 20;
+
+function pushCardUndo(s, op, beforeCards, actor) {
+  const stack = Array.isArray(s.cardUndo) ? s.cardUndo : [];
+  stack.push({ op, at: nowISO(), actor: actor || null, cards: structuredClone(beforeCards) });
+  s.cardUndo = stack.slice(-CARD_UNDO_KEEP);
+}
+
+/**
+ * fn(s, findCard) ubah kad dan pulangkan { before: [...], cards: [...], ...extra }
+ * atau { notFound } / { error }. Return { cards, version, total, ...extra }.
+ */
+async function runCardOp(sessionId, op, fn, { actor } = {}) {
+  const sid = String(sessionId || "").trim();
+  return withCardWrite(sid, async (s) => {
+    const findCard = (id) => s.cards.find((c) => String(c.id) === String(id || "").trim()) || null;
+
+    const out = fn(s, findCard);
+    if (out.notFound || out.error) return out;
+
+    const { before, ...rest } = out;
+    if (op !== "undo") pushCardUndo(s, op, before, actor);
+
+    await recordEvent(sid, {
+      type: `card.${op}`,
+      actor,
+      target: { cardIds: rest.cards.map((c) => c.id) },
+      before,
+      after: rest.cards,
+    });
+    return rest;
+  });
+}
+
+async function editSessionCard(sessionId, cardId, fields, { actor } = {}) {
+  const out = await runCardOp(sessionId, "edited", (s, findCard) => {
+    const card = findCard(cardId);
+    if (!card) return { notFound: true };
+    if (!isCardActive(card)) return { error: "Kad telah dipadam. Restore dahulu." };
+
+    const before = structuredClone(card);
+    Object.assign(card, fields, { updatedAt: nowISO() });
+    card.name = card.panelName || "Panel";
+    return { before: [before], cards: [card] };
+  }, { actor });
+
+  if (out.cards) broadcast(sessionId, "card:update", { session: sessionId, card: out.cards[0] });
+  return out;
+}
+
+async function deleteSessionCard(sessionId, cardId, { actor } = {}) {
+  const out = await runCardOp(sessionId, "deleted", (s, findCard) => {
+    const card = findCard(cardId);
+    if (!card) return { notFound: true };
+    if (!isCardActive(card)) return { error: "Kad sudah dipadam" };
+
+    const before = structuredClone(card);
+    card.deletedAt = nowISO();
+    card.deletedBy = actor?.name || null;
+    return { before: [before], cards: [card] };
+  }, { actor });
+
+  if (out.cards) broadcast(sessionId, "card:delete", { session: sessionId, id: out.cards[0].id, card: out.cards[0] });
+  return out;
+}
+
+async function restoreSessionCard(sessionId, cardId, { actor } = {}) {
+  const out = await runCardOp(sessionId, "restored", (s, findCard) => {
+    const card = findCard(cardId);
+    if (!card) return { notFound: true };
+    if (isCardActive(card)) return { error: "Kad tidak dipadam" };
+
+    // kad hasil merge: buang provenance daripada kad sasaran (snapshot sasaran ikut sekali untuk undo)
+    const target = card.mergedInto ? findCard(card.mergedInto) : null;
+    const before = structuredClone(target ? [card, target] : [card]);
+    delete card.deletedAt;
+    delete card.deletedBy;
+    delete card.mergedInto;
+    card.updatedAt = nowISO();
+    if (target) {
+      target.mergedFrom = (target.mergedFrom || []).filter((m) => String(m.id) !== String(card.id));
+      if (!target.mergedFrom.length) delete target.mergedFrom;
+      target.updatedAt = card.updatedAt;
+    }
+    return { before, cards: target ? [card, target] : [card] };
+  }, { actor });
+
+  if (out.cards) {
+    broadcast(sessionId, "card:restore", { session: sessionId, card: out.cards[0] });
+    if (out.cards[1]) broadcast(sessionId, "card:update", { session: sessionId, card: out.cards[1] });
+  }
+  return out;
+}
+
+/**
+ * Gabung sourceIds ke dalam targetId. Kad sumber di-soft-delete (mergedInto),
+ * kad sasaran simpan provenance dalam mergedFrom[].
+ */
+async function mergeSessionCards(sessionId, targetId, sourceIds, { activity, actor } = {}) {
+  const out = await runCardOp(sessionId, "merged", (s, findCard) => {
+    const target = findCard(targetId);
+    if (!target) return { notFound: true };
+
+    const ids = [...new Set((Array.isArray(sourceIds) ? sourceIds : []).map((x) => String(x).trim()))]
+      .filter((id) => id && id !== String(target.id));
+    if (!ids.length) return { error: "sourceIds diperlukan (selain targetId)" };
+
+    const sources = ids.map(findCard);
+    if (sources.some((c) => !c)) return { notFound: true };
+    if (![target, ...sources].every(isCardActive)) return { error: "Kad yang dipadam tidak boleh digabung" };
+
+    const before = structuredClone([target, ...sources]);
+    const now = nowISO();
+
+    target.mergedFrom = [
+      ...(Array.isArray(target.mergedFrom) ? target.mergedFrom : []),
+      ...sources.map((c) => ({ id: c.id, activity: c.activity, panelName: c.panelName, createdAt: c.createdAt })),
+    ];
+    if (activity) target.activity = activity;
+    target.updatedAt = now;
+
+    sources.forEach((c) => {
+      c.deletedAt = now;
+      c.deletedBy = actor?.name || null;
+      c.mergedInto = target.id;
+    });
+
+    return { before, cards: [target, ...sources], mergedIds: sources.map((c) => c.id) };
+  }, { actor });
+
+  if (out.cards) {
+    broadcast(sessionId, "card:merge", { session: sessionId, card: out.cards[0], mergedIds: out.mergedIds });
+  }
+  return out;
+}
+
+/** batal operasi kad terakhir (pulihkan snapshot) */
+async function undoSessionCardOp(sessionId, { actor } = {}) {
+  const out = await runCardOp(sessionId, "undo", (s) => {
+    const entry = Array.isArray(s.cardUndo) ? s.cardUndo.pop() : null;
+    if (!entry) return { error: "Tiada operasi untuk undo" };
+
+    const before = [];
+    const restored = [];
+    entry.cards.forEach((snap) => {
+      const idx = s.cards.findIndex((c) => String(c.id) === String(snap.id));
+      if (idx === -1) return;
+      before.push(s.cards[idx]);
+      s.cards[idx] = snap;
+      restored.push(snap);
+    });
+    return { before, cards: restored, undone: { op: entry.op, at: entry.at, actor: entry.actor } };
+  }, { actor });
+
+  if (out.cards) broadcast(sessionId, "card:undo", { session: sessionId, undone: out.undone, cards: out.cards });
+  return out;
+}
+
+/**
+ * Moderasi: approve (boleh sekali edit teks) / reject.
+ * Approve -> card:new (LiveBoard papar kad); reject -> card:reject.
+ */
+async function moderateSessionCard(sessionId, cardId, decision, { activity, reason, actor } = {}) {
+  const status = decision === "approve" ? "approved" : "rejected";
+  const out = await runCardOp(sessionId, status, (s, findCard) => {
+    const card = findCard(cardId);
+    if (!card) return { notFound: true };
+    if (!isCardActive(card)) return { error: "Kad telah dipadam" };
+    if (cardStatus(card) === status) return { error: `Kad sudah ${status}` };
+
+    const before = structuredClone(card);
+    const wasLive = isCardLive(card);
+    card.status = status;
+    card.moderatedAt = nowISO();
+    card.moderatedBy = actor?.name || null;
+    if (status === "approved" && activity) card.activity = activity;
+    if (status === "rejected") card.rejectReason = reason || null;
+    else delete card.rejectReason;
+    return { before: [before], cards: [card], wasLive };
+  }, { actor });
+
+  if (out.cards) {
+    const card = out.cards[0];
+    if (status === "approved") broadcast(sessionId, "card:new", { session: sessionId, card });
+    else {
+      broadcastToFacilitators(sessionId, "card:reject", { session: sessionId, id: card.id, card });
+      // kad yang sudah dipapar: papan awam hanya perlu buang id (tanpa teks)
+      if (out.wasLive) broadcast(sessionId, "card:reject", { session: sessionId, id: card.id });
+    }
+  }
+  return out;
+}
+
+/* ======================================================
+ * 0d) MIGRASI KAD LAMA -> SESSION DOCUMENT
+ * Sumber lama (dibaca sahaja, tidak dipadam):
+ * - sessions/<sid>/panel_inputs.json           (/api/panel/submit lama)
+ * - <S3_PREFIX>/<sid>/liveboard.json          (/api/liveboard lama)
+ * Merge ikut id (idempotent) — selamat dijalankan berulang kali.
+ * ====================================================== */
+async function readLegacyCards(sessionId) {
+  if (!objectStoreReady()) return { panelInputs: [], liveboard: [], liveboardMeta: null };
+
+  const key = sanitizeSessionId(sessionId);
+  const panelDoc = await s3GetJson(`sessions/${key}/panel_inputs.json`, null);
+  const boardDoc = await s3GetJson(s3KeyLiveboard(key), null);
+
+  const panelInputs = (Array.isArray(panelDoc?.items) ? panelDoc.items : []).map((it) => ({
+    id: it?.id,
+    activity: String(it?.text || "").trim(),
+    panelName: String(it?.panelName || "").trim(),
+    createdAt: it?.createdAt,
+    source: "panel-submit",
+  }));
+
+  const { cards, version, sessionId: _sid, lastUpdatedAt, ...liveboardMeta } = boardDoc || {};
+  const liveboard = (Array.isArray(cards) ? cards : []).map((c) => ({ ...c, source: c?.source || "liveboard" }));
+
+  return { panelInputs, liveboard, liveboardMeta: boardDoc ? liveboardMeta : null };
+}
+
+/** merge kad lama ke dalam session s (tanpa persist). Return kad yang ditambah. */
+function mergeLegacyCards(s, legacy) {
+  const seen = new Set(s.cards.map((c) => String(c.id)));
+  const addedCards = [];
+
+  for (const raw of [...legacy.liveboard, ...legacy.panelInputs]) {
+    const card = normalizeCard(raw);
+    if (!card.activity || seen.has(String(card.id))) continue;
+    s.cards.push(card);
+    seen.add(String(card.id));
+    addedCards.push(card);
+  }
+
+  if (legacy.liveboardMeta && !s.liveboard) s.liveboard = legacy.liveboardMeta;
+  s.legacyMigratedAt = nowISO();
+  s.legacyMigration = {
+    at: s.legacyMigratedAt,
+    panelInputs: legacy.panelInputs.length,
+    liveboard: legacy.liveboard.length,
+    added: addedCards.length,
+  };
+  return addedCards;
+}
+
+/** migrasi automatik (sekali) semasa session mula di-load */
+async function migrateLegacyCardsOnLoad(sid) {
+  const s = sessions[sid];
+  if (s?.legacyMigratedAt) return;
+
+  const legacy = await readLegacyCards(sid);
+  if (!s && !legacy.panelInputs.length && !legacy.liveboard.length) return;
+
+  const target = s || (sessions[sid] = newSessionDoc(sid));
+  if (!s) await recordEvent(sid, { type: "session.created", after: target });
+  if (!Array.isArray(target.cards)) target.cards = [];
+
+  const added = mergeLegacyCards(target, legacy);
+  if (!isSessionVersion(target.version)) target.version = 1;
+  if (added.length) target.version += 1;
+  await persistSession(sid, ["session"]);
+  if (added.length) await recordEvent(sid, { type: "cards.migrated", after: added });
+}
+
+/* ======================================================
+ * 0e) AUDIT TRAIL (EVENT LOG)
+ * Setiap perubahan session direkod sebagai event append-only:
+ * { seq, id, sessionId, type, at, actor: { name, role }, target, before, after }
+ * State boleh dibina semula dengan replay event sehingga satu titik masa.
+ * Satu event per operasi (import 1000 kad = satu "cards.created"); before hanya untuk perubahan kecil —
+ * snapshot besar (cards.replaced, cluster.*) simpan after sahaja, before = event sebelumnya.
+ * Storan: events.json = { seq, chunkSize, chunks, count } + events-<n>.json (EVENT_CHUNK_SIZE event setiap satu).
+ * Chunk penuh tidak ditulis semula; setiap event hanya tulis chunk terakhir + meta.
+ * ====================================================== */
+const SYSTEM_ACTOR = { name: "system", role: "system" };
+
+/** identiti pembuat perubahan (header X-Actor / body.actor) */
+function requestActor(req) {
+  // identiti sah daripada token diutamakan; header/body hanya dipercayai bila auth dimatikan
+  if (req.auth) return { name: req.auth.name || "anonymous", role: req.auth.role };
+  if (AUTH_ENABLED) return { name: "anonymous", role: null };
+
+  const name = String(req.get("X-Actor") || req.body?.actor || req.body?.panelName || req.body?.lockedBy || "").trim();
+  const role = String(req.get("X-Actor-Role") || "").trim().toLowerCase();
+  return { name: name || "anonymous", role: role || null };
+}
+
+/** kad daripada bukan fasilitator (atau tanpa token bila auth dimatikan) ikut queue moderasi */
+function requestNeedsModeration(req) {
+  return !hasRole(req.auth, "facilitator");
+}
+
+/** ambil medan tertentu sahaja (untuk before/after event session.*) */
+function pickFields(obj, keys) {
+  return Object.fromEntries(keys.map((k) => [k, obj?.[k] ?? null]));
+}
+
+async function recordEvent(sessionId, { type, actor, target = null, before = null, after = null }) {
+  const sid = String(sessionId || "").trim();
+  if (!sid) return null;
+
+  const log = eventStore[sid] || (eventStore[sid] = { seq: 0, events: [] });
+  const ev = {
+    seq: ++log.seq,
+    id: newCardId(),
+    sessionId: sid,
+    type,
+    at: nowISO(),
+    actor: actor || SYSTEM_ACTOR,
+    target,
+    // snapshot — objek asal mungkin berubah selepas ini
+    before: before === undefined || before === null ? null : structuredClone(before),
+    after: after === undefined || after === null ? null : structuredClone(after),
+  };
+  log.events.push(ev);
+  await persistSession(sid, ["events"]);
+  return ev;
+}
+
+function _applyCpVersion(cp, cuKey, payload) {
+  if (!cp[cuKey]) cp[cuKey] = { latestVersion: null, versions: [] };
+  const bucket = cp[cuKey];
+  const idx = bucket.versions.findIndex((x) => x.version === payload.version);
+  if (idx >= 0) bucket.versions[idx] = payload;
+  else bucket.versions.push(payload);
+  bucket.latestVersion = payload.version;
+}
+
+/** reducer: state = { session, cluster, cp, cpc } */
+function applyEvent(state, ev) {
+  const after = ev.after === null ? null : structuredClone(ev.after);
+  const s = state.session;
+
+  switch (ev.type) {
+    case "session.created":
+      state.session = after;
+      break;
+    case "session.imported":
+      state.session = after?.session || null;
+      state.cluster = after?.cluster || null;
+      state.cp = after?.cp || {};
+      state.cpc = after?.cpc || null;
+      break;
+    case "session.lang_changed":
+    case "session.locked":
+    case "session.unlocked":
+    case "session.archived":
+    case "session.unarchived":
+    case "session.moderation_changed":
+    case "session.phase_changed":
+    case "session.duplicates_dismissed":
+      // after = medan session yang berubah sahaja
+      if (s) Object.assign(s, after);
+      break;
+    case "card.created": // log lama: satu event per kad
+      if (s) s.cards.push(after);
+      break;
+    case "cards.created":
+    case "cards.migrated":
+      if (s) s.cards.push(...(after || []));
+      break;
+    case "card.updated":
+      if (s) {
+        const idx = s.cards.findIndex((c) => String(c.id) === String(ev.target?.cardId));
+        if (idx >= 0) s.cards[idx] = after;
+      }
+      break;
+    case "cards.replaced":
+      if (s) s.cards = after || [];
+      break;
+    case "card.edited":
+    case "card.deleted":
+    case "card.restored":
+    case "card.merged":
+    case "card.undo":
+    case "card.approved":
+    case "card.rejected":
+      // after = snapshot penuh kad yang berubah
+      if (s) {
+        (after || []).forEach((card) => {
+          const idx = s.cards.findIndex((c) => String(c.id) === String(card.id));
+          if (idx >= 0) s.cards[idx] = card;
+        });
+      }
+      break;
+    case "cluster.run":
+    case "cluster.edited":
+    case "cluster.restored":
+      state.cluster = after;
+      break;
+    case "cluster.applied":
+      if (s) {
+        s.cus = after?.cus || [];
+        s.appliedAt = after?.appliedAt || null;
+        if (after?.teras) {
+          s.teras = after.teras;
+          s.terasTitle = after.terasTitle;
+        }
+        const tags = after?.cardTags || {};
+        s.cards.forEach((c) => {
+          if (tags[String(c.id)]) c.cuTitle = tags[String(c.id)];
+        });
+      }
+      break;
+    case "teras.updated":
+    case "teras.assigned":
+      if (s) {
+        if (after?.teras) {
+          s.teras = after.teras;
+          s.terasTitle = after.terasTitle;
+        }
+        const cuTeras = after?.cuTeras || {};
+        (s.cus || []).forEach((cu) => {
+          if (cu.cuId in cuTeras) cu.terasCode = cuTeras[cu.cuId];
+        });
+      }
+      break;
+    case "cpc.saved":
+      if (!state.cpc) state.cpc = { latestVersion: null, frozenVersion: null, versions: [] };
+      state.cpc.versions.push(after);
+      state.cpc.latestVersion = after.version;
+      break;
+    case "cpc.frozen":
+    case "cpc.unfrozen":
+      if (state.cpc) {
+        state.cpc.frozenVersion = after.frozenVersion;
+        const entry = state.cpc.versions.find((v) => v.version === (after.frozenVersion || ev.target?.frozenVersion));
+        if (entry && after.frozenAt) Object.assign(entry, { frozenAt: after.frozenAt, frozenBy: after.frozenBy });
+      }
+      break;
+    case "cp.drafted":
+    case "cp.updated":
+    case "cp.locked":
+      _applyCpVersion(state.cp, ev.target?.cuKey, after);
+      break;
+    case "ratings.submitted":
+      if (s) {
+        s.ratings = s.ratings || {};
+        (after || []).forEach(({ target, ...entry }) => {
+          s.ratings[target] = { ...(s.ratings[target] || {}), [entry.rater]: entry };
+        });
+      }
+      break;
+    case "participant.registered":
+      if (s) s.participants = [...(s.participants || []), after];
+      break;
+    case "participant.updated":
+      if (s) s.participants = (s.participants || []).map((p) => (p.participantId === after?.participantId ? after : p));
+      break;
+    case "join_code.created":
+      if (s) s.joinCodes = [...(s.joinCodes || []), after];
+      break;
+    case "join_code.revoked":
+      if (s) s.joinCodes = (s.joinCodes || []).map((c) => (c.code === after?.code ? after : c));
+      break;
+    case "myspike.compared":
+      if (s) s.myspikeCompare = [...(s.myspikeCompare || []), after].slice(-MYSPIKE_COMPARE_KEEP);
+      break;
+    default:
+      break;
+  }
+  return state;
+}
+
+/** bina semula state session dengan replay event (sehingga `at` ISO atau `seq`) */
+function replaySessionEvents(sessionId, { at = null, seq = null } = {}) {
+  const events = eventStore[sessionId]?.events || [];
+  const limitTime = at ? Date.parse(at) : null;
+
+  const state = { session: null, cluster: null, cp: {}, cpc: null };
+  let applied = 0;
+  let lastEvent = null;
+
+  for (const ev of events) {
+    if (seq !== null && ev.seq > seq) break;
+    if (limitTime !== null && Date.parse(ev.at) > limitTime) break;
+    applyEvent(state, ev);
+    applied++;
+    lastEvent = ev;
+  }
+
+  return {
+    applied,
+    lastSeq: lastEvent?.seq || 0,
+    lastAt: lastEvent?.at || null,
+    // session sebelum audit trail wujud tiada event session.created
+    baseline: events[0]?.type === "session.created" || events[0]?.type === "session.imported" ? "complete" : "partial",
+    state,
+  };
+}
+
+
+/* ======================================================
+ * 0f) TEXT NORMALISASI (BM/EN) + SIMILARITY + DUPLICATE DETECTION
+ * normalizeWords/normalizeText dikongsi oleh: preview cluster, cluster local,
+ * semakan duplikat dan carian kata kunci MySPIKE.
+ * - stopword BM + EN (teks aktiviti selalunya bercampur)
+ * - stemmer BM (buang imbuhan: meN-/peN-/di-/ber-/ter-/per-, ke-...-an, -kan/-an/-i, partikel -nya/-pun)
+ *   "menyediakan" / "sediakan" / "penyediaan" -> "sedia"
+ *   jadual contoh kata dasar / berimbuhan: MS_STEM_CASES (disemak semasa boot, warning jika tidak konsisten)
+ * - stemmer EN ringan (-ing/-ed/-s)
+ * - sinonim optional: TEXT_SYNONYMS_FILE (JSON { "kanonik": ["sinonim", ...] })
+ * ====================================================== */
+const TEXT_STOPWORDS = {
+  MS: new Set(
+    (
+      "dan atau yang di ke dari daripada untuk bagi dengan pada dalam oleh ini itu secara serta adalah ialah akan " +
+      "kepada setiap semua mengikut seperti lain tersebut juga telah sudah boleh perlu hendaklah supaya agar jika " +
+      "bila apabila sebelum selepas semasa antara tentang terhadap para sebagai iaitu"
+    ).split(" ")
+  ),
+  EN: new Set(
+    (
+      "and or the a an of to for with on in by from at as is are be been this that these those each all per into " +
+      "using such other its their it which when before after during between about against must should shall can may"
+    ).split(" ")
+  ),
+};
+
+const MS_PARTICLES = ["nya", "pun"];
+const MS_SUFFIXES = ["kan", "an", "i"];
+const MIN_STEM = 3;
+// meN-/peN- + vokal kabur tanpa kamus: men- + vokal = kata dasar t- (lalai) atau n-, meng- + vokal = kata dasar
+// vokal (lalai) atau k-. Senarai kecil kata dasar n-/k- lazim dalam DACUM (tambah bila jumpa salah padan)
+const MS_N_ROOTS = new Set(["nilai", "nasihat", "nama", "naik", "nanti", "nikmat"]);
+const MS_K_ROOTS = new Set(["kendali", "kawal", "kumpul", "kira", "kemas", "kemaskini", "kaji", "kesan", "kutip", "kurang", "kekal", "kenal"]);
+
+/** buang satu imbuhan awalan (gabungan dahulu); suffix = akhiran yang telah dibuang */
+function stripMsPrefix(w, suffix) {
+  for (const p of ["memper", "diper", "keber"]) {
+    if (w.startsWith(p) && w.length - p.length >= MIN_STEM) return w.slice(p.length);
+  }
+
+  // meN- / peN- dengan perubahan bunyi
+  let m = w.match(/^(me|pe)(ng|ny|m|n)(.*)$/);
+  if (m) {
+    const [, , nasal, rest] = m;
+    let root = rest;
+    if (nasal === "ny" && /^[aeiou]/.test(rest)) root = `s${rest}`; // menyedia -> sedia
+    else if (nasal === "m" && /^[aeiou]/.test(rest)) root = `p${rest}`; // memasang -> pasang
+    else if (nasal === "n" && /^[aeiou]/.test(rest)) root = MS_N_ROOTS.has(`n${rest}`) ? `n${rest}` : `t${rest}`; // menulis -> tulis, menilai -> nilai
+    else if (nasal === "ng" && /^[aeiou]/.test(rest) && MS_K_ROOTS.has(`k${rest}`)) root = `k${rest}`; // mengendali -> kendali (mengurus -> urus)
+    if (root.length >= MIN_STEM) return root;
+  }
+  // ber-/ter-/per- sebelum me/pe + likuida: perkhidmat -> khidmat (bukan rkhidmat)
+  for (const p of ["ber", "ter", "per", "di"]) {
+    if (p === "per" && /^per[aeiou]/.test(w)) continue; // periksa kata dasar; per- + vokal jarang
+    if (w.startsWith(p) && w.length - p.length >= MIN_STEM) return w.slice(p.length);
+  }
+  // melapor / pelapor -> lapor; perlu kekal (tiada vokal selepas r); pe + r dikira per- (periksa)
+  m = w.match(/^(?:me([lrwy][aeiou].*)|pe([lwy][aeiou].*))$/);
+  if (m && (m[1] || m[2]).length >= MIN_STEM) return m[1] || m[2];
+
+  if (/^[bp]e.er/.test(w)) return w.slice(2); // bekerja / pekerja -> kerja
+  if (suffix === "an" && w.startsWith("ke") && w.length - 2 >= MIN_STEM) return w.slice(2); // ke-...-an
+  return w;
+}
+
+/**
+ * stemmer BM berasaskan peraturan (tanpa kamus), satu akhiran + satu awalan.
+ * Bentuk kanonik untuk padanan (bukan paparan):
+ * - konsonan awal dipulihkan hanya bila ada awalan meN-/peN- (menulis -> tulis, mengendalikan -> kendali);
+ *   kata tanpa awalan tidak diusik (tapak, kapak, nama kekal berbeza)
+ * - "k" akhir selepas vokal digugurkan: -kan / k + -an kabur (semakan ~ semak, pembaikan ~ membaiki)
+ * Contoh: MS_STEM_CASES (disemak semasa boot).
+ */
+function stemMalay(word) {
+  let w = word;
+  if (w.length > 4) {
+    for (const p of MS_PARTICLES) {
+      if (w.endsWith(p) && w.length - p.length >= 4) {
+        w = w.slice(0, -p.length);
+        break;
+      }
+    }
+    let suffix = null;
+    for (const sfx of MS_SUFFIXES) {
+      if (!w.endsWith(sfx) || w.length - sfx.length < 4) continue;
+      const rest = w.slice(0, -sfx.length);
+      // -i hanya bersama awalan (membaiki); baki < 5 huruf (pasti), "-ai" (nilai), "-asi" (komunikasi)
+      // atau tanpa awalan (kendali) biasanya sebahagian kata dasar
+      if (sfx === "i" && (rest.length < 5 || /as?$/.test(rest) || stripMsPrefix(rest, sfx) === rest)) continue;
+      w = rest;
+      suffix = sfx;
+      break;
+    }
+    w = stripMsPrefix(w, suffix);
+  }
+
+  if (/[aeiou]k$/.test(w) && w.length > MIN_STEM) w = w.slice(0, -1);
+  return w;
+}
+
+// [kata dasar, ...bentuk berimbuhan] -> semua mesti stem kepada bentuk yang sama;
+// kata dasar antara baris mesti stem berbeza (tapak / kapak / nama tidak bergabung)
+const MS_STEM_CASES = [
+  ["sedia", "menyediakan", "sediakan", "penyediaan"],
+  ["pasang", "memasang", "pemasangan", "dipasang"],
+  ["tulis", "menulis", "penulisan"],
+  ["lapor", "melaporkan", "pelapor", "laporan"],
+  ["urus", "mengurus", "pengurusan", "diuruskan"],
+  ["tetap", "ditetapkan", "menetapkan"],
+  ["semak", "menyemak", "semakan"],
+  ["periksa", "memeriksa", "pemeriksaan", "peperiksaan"],
+  ["kendali", "mengendalikan", "kendalikan", "pengendalian"],
+  ["baik", "membaiki", "pembaikan"],
+  ["komunikasi", "berkomunikasi"],
+  ["kenal", "memperkenalkan"],
+  ["selamat", "keselamatan"],
+  ["perlu", "memerlukan", "diperlukan"],
+  ["khidmat", "perkhidmatan"],
+  ["nilai", "menilai", "penilaian", "dinilai"],
+  ["pasti", "pastikan", "memastikan"],
+  ["kerja", "bekerja", "pekerja", "pekerjaan"],
+  ["kawal", "mengawal", "pengawalan"],
+  ["nama", "menamakan", "penamaan"],
+  ["tapak"],
+  ["kapak"],
+  ["ambil", "mengambil"],
+];
+
+const msStemMismatches = MS_STEM_CASES.flatMap(([root, ...forms]) =>
+  forms.filter((f) => stemMalay(f) !== stemMalay(root)).map((f) => `${f}->${stemMalay(f)} (${root}->${stemMalay(root)})`)
+);
+const msStemRoots = new Map();
+for (const [root] of MS_STEM_CASES) {
+  const stem = stemMalay(root);
+  if (msStemRoots.has(stem)) msStemMismatches.push(`${root} = ${msStemRoots.get(stem)} -> ${stem}`);
+  else msStemRoots.set(stem, root);
+}
+if (msStemMismatches.length) console.warn(`⚠️ stemMalay tidak konsisten: ${msStemMismatches.join(", ")}`);
+
+function stemEnglish(word) {
+  let w = word;
+  if (w.length <= 4) return w;
+  if (w.endsWith("ies") && w.length > 5) return `${w.slice(0, -3)}y`;
+  if (w.endsWith("ing") && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith("ed") && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith("es") && /(ss|x|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !w.endsWith("ss")) w = w.slice(0, -1);
+  // konsonan berganda selepas buang -ing/-ed (running -> run)
+  if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+function loadTextSynonyms() {
+  const file = process.env.TEXT_SYNONYMS_FILE;
+  if (!file) return new Map();
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const map = new Map();
+    for (const [canonical, alts] of Object.entries(raw || {})) {
+      for (const lang of ["MS", "EN"]) {
+        const target = stemWord(String(canonical).toLowerCase(), lang);
+        [canonical, ...(Array.isArray(alts) ? alts : [])].forEach((a) => map.set(`${lang}:${stemWord(String(a).toLowerCase(), lang)}`, target));
+      }
+    }
+    console.log(`✅ Sinonim dimuatkan: ${Object.keys(raw || {}).length} entri (${file})`);
+    return map;
+  } catch (e) {
+    console.warn(`⚠️ Gagal baca TEXT_SYNONYMS_FILE (${file}):`, String(e?.message || e));
+    return new Map();
+  }
+}
+
+function stemWord(word, lang) {
+  return lang === "EN" ? stemEnglish(word) : stemMalay(word);
+}
+
+let textSynonyms = null; // dimuat sekali (lazy)
+
+/**
+ * teks -> [{ word, norm }] (word = bentuk asal huruf kecil, norm = stem + sinonim)
+ * opts: { lang: "MS"|"EN", stopwords = true, stem = true, synonyms = true }
+ */
+function normalizeWords(text, { lang = "MS", stopwords = true, stem = true, synonyms = true } = {}) {
+  const L = String(lang || "MS").toUpperCase() === "EN" ? "EN" : "MS";
+  if (synonyms && !textSynonyms) textSynonyms = loadTextSynonyms();
+
+  return tokenize(text)
+    .filter((w) => !stopwords || (!TEXT_STOPWORDS.MS.has(w) && !TEXT_STOPWORDS.EN.has(w)))
+    .map((word) => {
+      let norm = stem && /^\p{L}+$/u.test(word) ? stemWord(word, L) : word;
+      if (synonyms) norm = textSynonyms.get(`${L}:${norm}`) || norm;
+      return { word, norm };
+    });
+}
+
+function normalizeText(text, opts) {
+  return normalizeWords(text, opts).map((x) => x.norm);
+}
+
+// Skor duplikat guna trigram aksara atas token ternormal (stem + tanpa stopword).
+const DUPLICATE_THRESHOLD = Number(process.env.DUPLICATE_THRESHOLD || 0.5);
+
+function tokenize(t) {
+  return String(t)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function jaccard(a, b) {
+  const A = new Set(a);
+  const B = new Set(b);
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter++;
+  const union = A.size + B.size - inter;
+  return union ? inter / union : 0;
+}
+
+function similarityProfile(text, lang = "MS") {
+  const tok = normalizeText(text, { lang });
+  const grams = [];
+  tok.forEach((w) => {
+    const padded = ` ${w} `;
+    for (let i = 0; i < padded.length - 2; i++) grams.push(padded.slice(i, i + 3));
+  });
+  return { tok, grams: new Set(grams) };
+}
+
+function similarityScore(pa, pb) {
+  return { score: jaccard(pa.grams, pb.grams), tokenScore: jaccard(pa.tok, pb.tok) };
+}
+
+function cardLink(sessionId, cardId) {
+  return `/api/cards/${encodeURIComponent(sessionId)}/${encodeURIComponent(cardId)}`;
+}
+
+/** profil similarity dengan cache per kad — semakan banyak kad sekali gus (batch / import) stem sekali sahaja */
+function cardProfileCache(lang = "MS") {
+  const cache = new Map();
+  return (card) => {
+    if (!cache.has(card)) cache.set(card, similarityProfile(getCardText(card), lang));
+    return cache.get(card);
+  };
+}
+
+/**
+ * kad sedia ada yang hampir sama dengan `text` (skor menurun)
+ * liveOnly: hanya kad approved — wajib bila hasil sampai kepada bukan fasilitator (teks pending tidak bocor)
+ */
+function findPossibleDuplicates(
+  sessionId,
+  text,
+  existingCards,
+  {
+    threshold = DUPLICATE_THRESHOLD,
+    limit = 5,
+    lang = sessions[sessionId]?.lang || "MS",
+    profileOf = cardProfileCache(lang),
+    liveOnly = false,
+  } = {}
+) {
+  const p = similarityProfile(text, lang);
+  if (!p.tok.length) return [];
+
+  return existingCards
+    .filter((c) => (liveOnly ? isCardLive(c) : isCardActive(c) && cardStatus(c) !== "rejected"))
+    .map((c) => ({ card: c, ...similarityScore(p, profileOf(c)) }))
+    .filter((m) => m.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((m) => ({
+      cardId: m.card.id,
+      activity: getCardText(m.card),
+      panelName: m.card.panelName || "",
+      score: Number(m.score.toFixed(3)),
+      tokenScore: Number(m.tokenScore.toFixed(3)),
+      link: cardLink(sessionId, m.card.id),
+    }));
+}
+
+function duplicatePairKey(a, b) {
+  return [String(a), String(b)].sort().join("|");
+}
+
+/** semua pasangan kad hampir sama dalam session (untuk review fasilitator) */
+function findDuplicatePairs(s, { threshold = DUPLICATE_THRESHOLD } = {}) {
+  const dismissed = new Set(Array.isArray(s.dismissedDuplicates) ? s.dismissedDuplicates : []);
+  const items = s.cards
+    .filter((c) => isCardActive(c) && cardStatus(c) !== "rejected")
+    .map((c) => ({ card: c, p: similarityProfile(getCardText(c), s.lang) }))
+    .filter((x) => x.p.tok.length);
+
+  const pairs = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i].card;
+      const b = items[j].card;
+      if (dismissed.has(duplicatePairKey(a.id, b.id))) continue;
+
+      const { score, tokenScore } = similarityScore(items[i].p, items[j].p);
+      if (score < threshold) continue;
+
+      // kad lebih awal jadi sasaran merge
+      const [target, source] = String(a.createdAt || "") <= String(b.createdAt || "") ? [a, b] : [b, a];
+      pairs.push({
+        score: Number(score.toFixed(3)),
+        tokenScore: Number(tokenScore.toFixed(3)),
+        cards: [target, source].map((c) => ({
+          id: c.id,
+          activity: getCardText(c),
+          panelName: c.panelName || "",
+          createdAt: c.createdAt || null,
+          link: cardLink(s.sessionId, c.id),
+        })),
+        merge: {
+          method: "POST",
+          url: `/api/cards/${encodeURIComponent(s.sessionId)}/merge`,
+          body: { targetId: target.id, sourceIds: [source.id] },
+        },
+      });
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+/* ======================================================
+ * 0g) BROADCAST (Socket.IO + seq + catch-up)
+ * Semua perubahan state dihantar ke room session (dan klien SSE) melalui broadcast():
+ * payload dapat { seq, epoch } — seq naik per session, epoch berubah setiap boot.
+ * Client yang reconnect hantar { lastSeq, epoch } dalam session:join:
+ *   -> session:catchup { events: [{ seq, event, payload }] }  (hanya yang terlepas)
+ *   -> session:resync  { board }                              (buffer tak cukup / server restart)
+ * Kad belum dimoderasi (card:pending / card:reject) hanya ke room `<sid>:facilitators` melalui
+ * broadcastToFacilitators() — tiada seq, tidak masuk buffer catch-up dan tidak ke SSE.
+ * Fasilitator yang reconnect ambil semula queue: GET /api/cards/:sessionId/moderation.
+ * ====================================================== */
+const BROADCAST_EPOCH = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+const BROADCAST_BUFFER_SIZE = Number(process.env.BROADCAST_BUFFER_SIZE || 500);
+const broadcastLogs = {}; // { [sessionId]: { seq, items: [{ seq, event, payload, at }] } }
+const sseClients = {}; // { [sessionId]: Set<res> } — GET /api/liveboard/:sessionId/stream
+
+function broadcast(sessionId, event, payload = {}) {
+  const sid = String(sessionId || "").trim();
+  if (!sid) return 0;
+
+  const log = broadcastLogs[sid] || (broadcastLogs[sid] = { seq: 0, items: [] });
+  const seq = ++log.seq;
+  const msg = { ...payload, seq, epoch: BROADCAST_EPOCH };
+
+  log.items.push({ seq, event, payload: msg, at: nowISO() });
+  if (log.items.length > BROADCAST_BUFFER_SIZE) log.items.splice(0, log.items.length - BROADCAST_BUFFER_SIZE);
+
+  io.to(sid).emit(event, msg);
+  sseClients[sid]?.forEach((res) => writeSse(res, { id: seq, event, data: msg }));
+  return seq;
+}
+
+function facilitatorRoom(sessionId) {
+  return `${sessionId}:facilitators`;
+}
+
+/** event khas fasilitator (kandungan belum diluluskan) — bukan sebahagian aliran seq awam */
+function broadcastToFacilitators(sessionId, event, payload = {}) {
+  const sid = String(sessionId || "").trim();
+  if (!sid) return;
+  io.to(facilitatorRoom(sid)).emit(event, { ...payload, seq: broadcastSeq(sid), epoch: BROADCAST_EPOCH });
+}
+
+// config session berubah (lang, lock, moderasi, archive)
+function broadcastSessionUpdate(sessionId, s) {
+  return broadcast(sessionId, "session:update", {
+    sessionId,
+    ...pickFields(s, ["lang", "langLocked", "lockedAt", "moderation", "status", "archivedAt"]),
+    phase: sessionPhase(s),
+  });
+}
+
+function broadcastSeq(sessionId) {
+  return broadcastLogs[sessionId]?.seq || 0;
+}
+
+/** event selepas lastSeq, atau null jika client perlu resync penuh */
+function broadcastsSince(sessionId, lastSeq, epoch) {
+  const log = broadcastLogs[sessionId] || { seq: 0, items: [] };
+  const since = Number(lastSeq);
+
+  if (epoch && epoch !== BROADCAST_EPOCH) return null;
+  if (!Number.isInteger(since) || since < 0 || since > log.seq) return null;
+
+  const oldest = log.items.length ? log.items[0].seq : log.seq + 1;
+  if (since < oldest - 1) return null; // sebahagian event sudah keluar dari buffer
+
+  return { seq: log.seq, items: log.items.filter((it) => it.seq > since) };
+}
+
+/** hantar catch-up / resync kepada satu socket yang baru join */
+async function sendCatchUp(socket, sessionId, { lastSeq, epoch }) {
+  const delta = broadcastsSince(sessionId, lastSeq, epoch);
+  if (delta) {
+    return socket.emit("session:catchup", {
+      sessionId,
+      fromSeq: Number(lastSeq),
+      seq: delta.seq,
+      epoch: BROADCAST_EPOCH,
+      events: delta.items.map(({ seq, event, payload }) => ({ seq, event, payload })),
+    });
+  }
+
+  const s = await loadSession(sessionId);
+  return socket.emit("session:resync", {
+    sessionId,
+    seq: broadcastSeq(sessionId),
+    epoch: BROADCAST_EPOCH,
+    board: s ? liveboardView(s) : null,
+  });
+}
+
+/* =========================
+ * Socket.IO rooms
+ * ========================= */
+// token Socket.IO: io({ auth: { token } }) atau ?access_token=
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.token || socket.handshake.query?.access_token;
+  socket.data.auth = token ? verifyAuthToken(token) : null;
+  if (token && !socket.data.auth) return next(new Error("Token tidak sah atau tamat tempoh"));
+  return next();
+});
+
+io.on("connection", (socket) => {
+  // payload: { sessionId } atau { code } (kod join daripada QR)
+  //          participantId (optional, auth dimatikan sahaja — jika tidak ikut token) untuk presence;
+  //          lastSeq + epoch (optional) untuk catch-up
+  socket.on("session:join", async (payload) => {
+    try {
+      let sessionId = String(payload?.sessionId || "").trim();
+      let role = null;
+
+      if (payload?.code) {
+        const r = await resolveJoinCodeThrottled(socket.handshake.address, payload.code);
+        if (r.error) return socket.emit("session:join_error", { code: payload.code, error: r.error });
+        ({ sessionId, role } = r);
+        socket.data.joinCode = r.code;
+      } else if (AUTH_ENABLED) {
+        // tanpa kod join: perlukan token (handshake.auth.token) yang sah untuk session ini
+        const auth = socket.data.auth;
+        if (!auth) return socket.emit("session:join_error", { sessionId, error: "Token atau kod join diperlukan" });
+        if (!canAccessSession(auth, sessionId)) {
+          return socket.emit("session:join_error", { sessionId, error: "Token tidak sah untuk session ini" });
+        }
+        role = auth.role;
+      }
+
+      if (!sessionId) return;
+      socket.join(sessionId);
+      // auth dimatikan: role diisytihar sendiri (sama seperti X-Actor-Role)
+      const effectiveRole = AUTH_ENABLED ? role : role || String(payload?.role || "").trim().toLowerCase() || null;
+      if (hasRole({ role: effectiveRole }, "facilitator")) socket.join(facilitatorRoom(sessionId));
+      // presence ikut identiti token; participantId daripada payload hanya dipercayai bila auth dimatikan
+      const auth = canAccessSession(socket.data.auth, sessionId) ? socket.data.auth : null;
+      const participantId = AUTH_ENABLED
+        ? findParticipantForAuth(await loadSession(sessionId), auth)?.participantId
+        : payload?.participantId;
+      const participant = await markPresenceJoin(socket, sessionId, { participantId, role });
+      socket.emit("session:joined", { sessionId, role, participant, seq: broadcastSeq(sessionId), epoch: BROADCAST_EPOCH });
+      if (payload?.lastSeq !== undefined && payload?.lastSeq !== null) {
+        await sendCatchUp(socket, sessionId, { lastSeq: payload.lastSeq, epoch: payload.epoch });
+      }
+    } catch {}
+  });
+
+  socket.on("session:leave", async (payload) => {
+    try {
+      const sessionId = String(payload?.sessionId || "").trim();
+      if (!sessionId) return;
+      socket.leave(sessionId);
+      socket.leave(facilitatorRoom(sessionId));
+      await markPresenceLeave(socket, sessionId);
+    } catch {}
+  });
+
+  socket.on("disconnect", async () => {
+    try {
+      for (const sessionId of [...(socket.data.presenceSessions || [])]) await markPresenceLeave(socket, sessionId);
+    } catch {}
+  });
+});
+
+/* ======================================================
+ * 1) CARDS API (LiveBoard)
+ * ====================================================== */
+
+// Legacy routes
+app.get("/cards/:session", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.session || "").trim();
+    return res.json(await getSessionCards(sid));
+  } catch (e) {
+    return res.status(500).json({ success: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/cards/:session", requireRole("panel"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.session || "").trim();
+    const { name, activity } = req.body || {};
+
+    const nm = String(name || "").trim();
+    const act = String(activity || "").trim();
+    if (!sid || !nm || !act) {
+      return res.status(400).json({ success: false, error: "session, name & activity required" });
+    }
+    if (!(await loadSession(sid))) return res.status(404).json({ success: false, error: "session not found" });
+
+    const out = await appendSessionCards(sid, [{ name: nm, activity: act }], {
+      source: "cards-legacy",
+      actor: requestActor(req),
+      moderate: requestNeedsModeration(req),
+    });
+    return res.json({ success: true, card: out.cards[0], possibleDuplicates: out.possibleDuplicates[0]?.matches || [] });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: String(e?.message || e) });
+  }
+});
+
+app.patch("/cards/:session/:id", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.session || "").trim();
+    const id = String(req.params.id || "").trim();
+    const { cu, wa, cuTitle } = req.body || {};
+
+    if (!sid || !id) return res.status(400).json({ success: false, error: "session & id required" });
+    if (!(await loadSession(sid))) return res.status(404).json({ success: false, error: "session not found" });
+
+    const out = await updateSessionCard(sid, id, (card) => ({
+      ...card,
+      cu: String(cu || card.cu || "").trim(),
+      cuTitle: String(cuTitle || card.cuTitle || card.cu || "").trim(),
+      wa: String(wa || card.wa || "").trim(),
+    }), { actor: requestActor(req) });
+    if (out.notFound) return res.status(404).json({ success: false, error: "card not found" });
+
+    return res.json({ success: true, card: out.card });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: String(e?.message || e) });
+  }
+});
+
+// Frontend baru (compat)
+app.get("/api/cards/:sessionId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    // ?includeDeleted=1 -> termasuk kad dalam tong sampah (untuk restore)
+    // ?status=pending|rejected|all -> kad ikut status moderasi (default approved)
+    // kedua-duanya fasilitator sahaja (kad belum dimoderasi / dipadam bukan untuk panel)
+    const includeDeleted = ["1", "true"].includes(String(req.query?.includeDeleted || "").toLowerCase());
+    const status = String(req.query?.status || "approved").toLowerCase();
+    if ((includeDeleted || status !== "approved") && AUTH_ENABLED && !hasRole(req.auth, "facilitator")) {
+      return res.status(403).json({ ok: false, error: "Akses ditolak: status / includeDeleted perlukan role facilitator" });
+    }
+    const items = s.cards.filter(
+      (c) => (includeDeleted || isCardActive(c)) && (status === "all" || cardStatus(c) === status)
+    );
+    return res.json({ ok: true, sessionId: sid, items });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cards/:sessionId", requireRole("panel"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ ok: false, error: "Missing sessionId" });
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const name = String(req.body?.name || req.body?.activity || "").trim();
+    const activity = String(req.body?.activity || name || "").trim();
+    const panelName = String(req.body?.panelName || "").trim();
+
+    if (!name) return res.status(400).json({ ok: false, error: "Missing name/activity" });
+
+    const out = await appendSessionCards(sid, [{ activity, panelName }], {
+      source: "cards-api",
+      actor: requestActor(req),
+      moderate: requestNeedsModeration(req),
+    });
+    const card = out.cards[0];
+    return res.json({ ok: true, item: card, card, status: cardStatus(card), possibleDuplicates: out.possibleDuplicates[0]?.matches || [] });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ------------------------------------------------------
+ * Moderasi kad panel (fasilitator)
+ * POST /api/session/:sessionId/moderation       body: { enabled: true|false }
+ * GET  /api/cards/:sessionId/moderation         ?status=pending|rejected  -> queue
+ * POST /api/cards/:sessionId/:cardId/approve    body: { activity? }  (edit + approve)
+ * POST /api/cards/:sessionId/:cardId/reject     body: { reason? }
+ * ------------------------------------------------------ */
+app.post("/api/session/:sessionId/moderation", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+    if (typeof req.body?.enabled !== "boolean") return res.status(400).json({ ok: false, error: "enabled mesti boolean" });
+
+    const before = pickFields(s, ["moderation"]);
+    s.moderation = req.body.enabled;
+    s.updatedAt = nowISO();
+    await persistSession(sid, ["session"]);
+    await recordEvent(sid, {
+      type: "session.moderation_changed",
+      actor: requestActor(req),
+      before,
+      after: pickFields(s, ["moderation"]),
+    });
+    broadcastSessionUpdate(sid, s);
+
+    const pending = s.cards.filter((c) => isCardActive(c) && cardStatus(c) === "pending").length;
+    return res.json({ ok: true, sessionId: sid, moderation: s.moderation, pending });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/cards/:sessionId/moderation", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const status = String(req.query?.status || "pending").toLowerCase();
+    if (!["pending", "rejected"].includes(status)) {
+      return res.status(400).json({ ok: false, error: "status mesti pending atau rejected" });
+    }
+
+    // paling lama di depan (FIFO)
+    const items = s.cards
+      .filter((c) => isCardActive(c) && cardStatus(c) === status)
+      .sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+
+    return res.json({ ok: true, sessionId: sid, moderation: !!s.moderation, status, total: items.length, items });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cards/:sessionId/:cardId/approve", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const out = await moderateSessionCard(sid, req.params.cardId, "approve", {
+      activity: String(req.body?.activity || "").trim(),
+      actor: requestActor(req),
+    });
+    return sendCardOpResult(res, sid, out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cards/:sessionId/:cardId/reject", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const out = await moderateSessionCard(sid, req.params.cardId, "reject", {
+      reason: String(req.body?.reason || "").trim(),
+      actor: requestActor(req),
+    });
+    return sendCardOpResult(res, sid, out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ------------------------------------------------------
+ * Review duplikat (fasilitator)
+ * GET  /api/cards/:sessionId/duplicates            ?threshold=
+ *      -> pasangan kad hampir sama + payload merge satu-klik (POST /api/cards/:sessionId/merge)
+ * POST /api/cards/:sessionId/duplicates/dismiss    body: { ids: [a, b] }  (bukan duplikat)
+ * ------------------------------------------------------ */
+app.get("/api/cards/:sessionId/duplicates", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const threshold = req.query?.threshold !== undefined ? Number(req.query.threshold) : DUPLICATE_THRESHOLD;
+    if (!(threshold > 0 && threshold <= 1)) return res.status(400).json({ ok: false, error: "threshold mesti antara 0 dan 1" });
+
+    const pairs = findDuplicatePairs(s, { threshold });
+    return res.json({ ok: true, sessionId: sid, threshold, total: pairs.length, pairs });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cards/:sessionId/duplicates/dismiss", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map((x) => String(x).trim()).filter(Boolean) : [];
+    if (ids.length !== 2) return res.status(400).json({ ok: false, error: "ids mesti 2 cardId" });
+
+    if (ids[0] === ids[1]) return res.status(400).json({ ok: false, error: "ids mesti 2 kad berbeza" });
+    const missing = ids.filter((id) => !s.cards.some((c) => String(c.id) === id));
+    if (missing.length) return res.status(404).json({ ok: false, error: `Kad tidak ditemui: ${missing.join(", ")}` });
+
+    const key = duplicatePairKey(ids[0], ids[1]);
+    await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const before = pickFields(s, ["dismissedDuplicates"]);
+      const dismissed = new Set(Array.isArray(s.dismissedDuplicates) ? s.dismissedDuplicates : []);
+      dismissed.add(key);
+      s.dismissedDuplicates = [...dismissed];
+      s.updatedAt = nowISO();
+      await persistSession(sid, ["session"]);
+      await recordEvent(sid, {
+        type: "session.duplicates_dismissed",
+        actor: requestActor(req),
+        target: { cardIds: ids },
+        before,
+        after: pickFields(s, ["dismissedDuplicates"]),
+      });
+    });
+
+    return res.json({ ok: true, sessionId: sid, dismissed: key });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// satu kad (sasaran `link` dalam possibleDuplicates)
+app.get("/api/cards/:sessionId/:cardId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const card = s.cards.find((c) => String(c.id) === String(req.params.cardId || "").trim());
+    // kad dipadam / belum dimoderasi hanya kelihatan kepada fasilitator
+    const visible = isCardLive(card) || !AUTH_ENABLED || hasRole(req.auth, "facilitator");
+    if (!card || !visible) return res.status(404).json({ ok: false, error: "Kad tidak ditemui" });
+
+    return res.json({ ok: true, sessionId: sid, card });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ------------------------------------------------------
+ * Lifecycle kad (fasilitator)
+ * PATCH  /api/cards/:sessionId/:cardId          body: { activity?, panelName?, cu?, cuTitle?, wa? }
+ * DELETE /api/cards/:sessionId/:cardId          soft-delete
+ * POST   /api/cards/:sessionId/:cardId/restore
+ * POST   /api/cards/:sessionId/merge            body: { targetId, sourceIds: [], activity? }
+ * POST   /api/cards/:sessionId/undo             batal operasi kad terakhir
+ * ------------------------------------------------------ */
+function sendCardOpResult(res, sid, out) {
+  if (out.notFound) return res.status(404).json({ ok: false, error: "Kad tidak ditemui" });
+  if (out.error) return res.status(400).json({ ok: false, error: out.error });
+  return res.json({ ok: true, sessionId: sid, ...out });
+}
+
+const CARD_EDIT_FIELDS = ["activity", "panelName", "cu", "cuTitle", "wa"];
+
+app.patch("/api/cards/:sessionId/:cardId", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const fields = {};
+    CARD_EDIT_FIELDS.forEach((k) => {
+      if (req.body?.[k] !== undefined) fields[k] = String(req.body[k] ?? "").trim();
+    });
+    if (!Object.keys(fields).length) {
+      return res.status(400).json({ ok: false, error: `Tiada medan untuk dikemas kini (${CARD_EDIT_FIELDS.join(", ")})` });
+    }
+    if (fields.activity === "") return res.status(400).json({ ok: false, error: "activity tidak boleh kosong" });
+
+    const out = await editSessionCard(sid, req.params.cardId, fields, { actor: requestActor(req) });
+    return sendCardOpResult(res, sid, out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.delete("/api/cards/:sessionId/:cardId", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const out = await deleteSessionCard(sid, req.params.cardId, { actor: requestActor(req) });
+    return sendCardOpResult(res, sid, out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cards/:sessionId/:cardId/restore", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const out = await restoreSessionCard(sid, req.params.cardId, { actor: requestActor(req) });
+    return sendCardOpResult(res, sid, out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cards/:sessionId/merge", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const targetId = String(req.body?.targetId || "").trim();
+    if (!targetId) return res.status(400).json({ ok: false, error: "targetId diperlukan" });
+
+    const out = await mergeSessionCards(sid, targetId, req.body?.sourceIds, {
+      activity: String(req.body?.activity || "").trim(),
+      actor: requestActor(req),
+    });
+    return sendCardOpResult(res, sid, out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cards/:sessionId/undo", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const out = await undoSessionCardOp(sid, { actor: requestActor(req) });
+    return sendCardOpResult(res, sid, out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Debug cards
+app.get("/api/s2/cards", requireRole("observer"), async (req, res) => {
+  try {
+    const sessionId = String(req.query?.sessionId || "").trim();
+    if (!sessionId) return res.status(400).json({ ok: false, error: "sessionId diperlukan" });
+
+    const s = await loadSession(sessionId);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const cards = s.cards.filter(isCardLive);
+    return res.json({
+      ok: true,
+      sessionId,
+      totalCards: cards.length,
+      sampleKeys: cards[0] ? Object.keys(cards[0]) : [],
+      cardsPreview: cards.slice(0, 20),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * 1b) BULK IMPORT KAD (CSV / TSV / XLSX)
+ * POST /api/cards/:sessionId/import   (multipart/form-data)
+ *   file     : fail .csv / .tsv / .txt / .xlsx / .xls
+ *   mapping  : JSON { activity, panelName?, cu?, wa? } -> nama header atau index lajur (0-based)
+ *              (jika tiada, dikesan automatik daripada header)
+ *   mode     : append (default) | replace
+ *   dryRun   : 1 -> preview sahaja, tiada simpan
+ *   sheet    : nama sheet (XLSX; default sheet pertama)
+ *   hasHeader: 0 -> baris pertama ialah data
+ * ====================================================== */
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 2000);
+const IMPORT_FIELDS = ["activity", "panelName", "cu", "wa"];
+const IMPORT_HEADER_ALIASES = {
+  activity: ["activity", "aktiviti", "aktiviti kerja", "work activity", "text", "tugas"],
+  panelName: ["panelname", "panel", "nama panel", "nama", "name"],
+  cu: ["cu", "cutitle", "cu title", "unit kompetensi", "competency unit"],
+  wa: ["wa", "watitle", "wa title"],
+};
+
+const cardImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number(process.env.IMPORT_MAX_SIZE || 5 * 1024 * 1024), files: 1 },
+});
+
+/** baca fail jadual -> array baris (array string) */
+function readSheetRows(file, { sheet } = {}) {
+  const ext = path.extname(String(file.originalname || "")).toLowerCase();
+  const isText = [".csv", ".tsv", ".txt"].includes(ext) || /^text\//.test(String(file.mimetype || ""));
+
+  // raw: teks CSV/TSV tidak ditukar jadi nombor/tarikh ("001" kekal "001")
+  const wb = XLSX.read(file.buffer, { type: "buffer", raw: isText });
+  const sheetName = sheet || wb.SheetNames[0];
+  const ws = wb.Sheets[sheetName];
+  if (!ws) throw Object.assign(new Error(`Sheet "${sheetName}" tidak ditemui`), { status: 400, sheets: wb.SheetNames });
+
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, defval: "", blankrows: false });
+  return { sheetName, sheets: wb.SheetNames, rows: rows.map((r) => r.map((v) => String(v ?? "").trim())) };
+}
+
+/** mapping medan -> index lajur */
+function resolveImportColumns(header, mapping) {
+  const norm = (x) => String(x || "").toLowerCase().replace(/[_\s]+/g, " ").trim();
+  const headerNorm = header.map(norm);
+  const columns = {};
+  const errors = [];
+
+  for (const field of IMPORT_FIELDS) {
+    const want = mapping?.[field];
+    if (want === undefined) {
+      // tiada mapping -> kesan ikut alias header
+      const idx = headerNorm.findIndex((h) => IMPORT_HEADER_ALIASES[field].some((a) => norm(a) === h));
+      if (idx >= 0) columns[field] = idx;
+      continue;
+    }
+    if (want === null || want === "") continue; // sengaja diabaikan
+
+    const idx = Number.isInteger(want) || /^\d+$/.test(String(want)) ? Number(want) : headerNorm.indexOf(norm(want));
+    if (idx < 0 || (header.length && idx >= header.length)) errors.push(`Lajur untuk "${field}" tidak ditemui: ${want}`);
+    else columns[field] = idx;
+  }
+
+  if (columns.activity === undefined && !errors.length) errors.push("Lajur activity tidak dikesan. Hantar mapping.activity.");
+  return { columns, errors };
+}
+
+function parseImportRows(sid, rows, columns, { hasHeader, existingCards }) {
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const seen = new Map(); // teks normal -> nombor baris pertama
+  const profileOf = cardProfileCache(sessions[sid]?.lang);
+  const items = [];
+  const errors = [];
+  const warnings = [];
+
+  dataRows.forEach((r, i) => {
+    const rowNo = i + (hasHeader ? 2 : 1); // nombor baris macam dalam spreadsheet
+    const get = (field) => (columns[field] === undefined ? "" : String(r[columns[field]] || "").trim());
+
+    const activity = get("activity");
+    if (!activity) {
+      errors.push({ row: rowNo, field: "activity", error: "activity kosong" });
+      return;
+    }
+
+    const key = activity.toLowerCase().replace(/\s+/g, " ");
+    if (seen.has(key)) {
+      errors.push({ row: rowNo, field: "activity", error: `Sama dengan baris ${seen.get(key)}` });
+      return;
+    }
+    seen.set(key, rowNo);
+
+    const cu = get("cu");
+    const card = { activity, panelName: get("panelName"), importRow: rowNo };
+    if (cu) Object.assign(card, { cu, cuTitle: cu });
+    if (get("wa")) card.wa = get("wa");
+
+    const matches = existingCards ? findPossibleDuplicates(sid, activity, existingCards, { limit: 3, profileOf }) : [];
+    if (matches.length) warnings.push({ row: rowNo, warning: "Mungkin duplikat kad sedia ada", matches });
+
+    items.push(card);
+  });
+
+  return { items, errors, warnings, totalRows: dataRows.length };
+}
+
+app.post("/api/cards/:sessionId/import", requireRole("facilitator"), requirePhase("cards.write"), (req, res) => {
+  cardImportUpload.single("file")(req, res, async (uploadErr) => {
+    try {
+      if (uploadErr) return res.status(400).json({ ok: false, error: `Upload gagal: ${uploadErr.message}` });
+
+      const sid = String(req.params.sessionId || "").trim();
+      const s = await loadSession(sid);
+      if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+      if (!req.file) return res.status(400).json({ ok: false, error: "file diperlukan (multipart field 'file')" });
+
+      const body = req.body || {};
+      const mode = String(body.mode || "append").toLowerCase();
+      if (!["append", "replace"].includes(mode)) return res.status(400).json({ ok: false, error: "mode mesti append atau replace" });
+      const dryRun = ["1", "true"].includes(String(body.dryRun || "").toLowerCase());
+      const hasHeader = !["0", "false"].includes(String(body.hasHeader ?? "1").toLowerCase());
+
+      let mapping = {};
+      try {
+        mapping = body.mapping ? JSON.parse(body.mapping) : {};
+      } catch {
+        return res.status(400).json({ ok: false, error: "mapping mesti JSON" });
+      }
+
+      let sheetData;
+      try {
+        sheetData = readSheetRows(req.file, { sheet: body.sheet });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: `Fail tidak dapat dibaca: ${e.message}`, sheets: e.sheets });
+      }
+
+      const { rows } = sheetData;
+      if (rows.length - (hasHeader ? 1 : 0) > IMPORT_MAX_ROWS) {
+        return res.status(400).json({ ok: false, error: `Terlalu banyak baris (max ${IMPORT_MAX_ROWS})` });
+      }
+
+      const header = hasHeader ? rows[0] || [] : [];
+      const { columns, errors: mappingErrors } = resolveImportColumns(header, mapping);
+      if (mappingErrors.length) {
+        return res.status(400).json({ ok: false, error: mappingErrors.join("; "), header });
+      }
+
+      const parsed = parseImportRows(sid, rows, columns, {
+        hasHeader,
+        existingCards: mode === "append" ? s.cards : null,
+      });
+
+      const preview = {
+        sessionId: sid,
+        mode,
+        sheet: sheetData.sheetName,
+        sheets: sheetData.sheets,
+        header,
+        columns: Object.fromEntries(Object.entries(columns).map(([f, i]) => [f, { index: i, header: header[i] ?? null }])),
+        totalRows: parsed.totalRows,
+        validRows: parsed.items.length,
+        errors: parsed.errors,
+        warnings: parsed.warnings,
+      };
+
+      if (dryRun) return res.json({ ok: true, dryRun: true, ...preview, items: parsed.items });
+      if (!parsed.items.length) return res.status(400).json({ ok: false, error: "Tiada baris sah untuk diimport", ...preview });
+
+      const opts = { source: "import", actor: requestActor(req) };
+      const out =
+        mode === "replace"
+          ? await replaceSessionCards(sid, parsed.items, opts)
+          : await appendSessionCards(sid, parsed.items, opts);
+
+      return res.json({
+        ok: true,
+        dryRun: false,
+        ...preview,
+        imported: parsed.items.length,
+        totalCards: out.total,
+        version: out.version,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+});
+
+/* ======================================================
+ * 2) SESSION CONFIG (LANG)
+ * ====================================================== */
+app.get("/api/session/config/:sessionId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      lang: String(s.lang || "MS").toUpperCase(),
+      langLocked: !!s.langLocked,
+      lockedAt: s.lockedAt || null,
+      moderation: !!s.moderation,
+      phase: sessionPhase(s),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/session/config/:sessionId", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    if (s.langLocked) {
+      return res.status(400).json({ ok: false, error: "Bahasa sudah dikunci selepas Agreed/Run Cluster." });
+    }
+
+    const lang = String(req.body?.lang || "").toUpperCase().trim();
+    if (!["MS", "EN"].includes(lang)) return res.status(400).json({ ok: false, error: "lang mesti 'MS' atau 'EN'." });
+
+    const before = pickFields(s, ["lang"]);
+    s.lang = lang;
+    s.updatedAt = nowISO();
+    await persistSession(sid, ["session"]);
+    await recordEvent(sid, { type: "session.lang_changed", actor: requestActor(req), before, after: { lang } });
+    broadcastSessionUpdate(sid, s);
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      lang: s.lang,
+      langLocked: !!s.langLocked,
+      lockedAt: s.lockedAt || null,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/session/lock/:sessionId", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const before = pickFields(s, ["langLocked", "lockedAt"]);
+    s.langLocked = true;
+    s.lockedAt = nowISO();
+    s.updatedAt = s.lockedAt;
+    await persistSession(sid, ["session"]);
+    await recordEvent(sid, {
+      type: "session.locked",
+      actor: requestActor(req),
+      before,
+      after: pickFields(s, ["langLocked", "lockedAt"]),
+    });
+    broadcastSessionUpdate(sid, s);
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      lang: String(s.lang || "MS").toUpperCase(),
+      langLocked: true,
+      lockedAt: s.lockedAt,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * SESSION UNLOCK (Fasilitator sahaja)
+ * ====================================================== */
+app.post("/api/session/unlock/:sessionId", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    // buka kunci
+    const before = pickFields(s, ["langLocked", "lockedAt"]);
+    s.langLocked = false;
+    s.lockedAt = null;
+    s.updatedAt = nowISO();
+    await persistSession(sid, ["session"]);
+    await recordEvent(sid, {
+      type: "session.unlocked",
+      actor: requestActor(req),
+      before,
+      after: pickFields(s, ["langLocked", "lockedAt"]),
+    });
+    broadcastSessionUpdate(sid, s);
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      lang: String(s.lang || "MS").toUpperCase(),
+      langLocked: false,
+      unlockedAt: s.updatedAt,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * SESSION MIGRATE — merge panel_inputs.json + liveboard.json lama ke session
+ * (berjalan automatik sekali semasa load; endpoint ini untuk jalan semula)
+ * ====================================================== */
+app.post("/api/session/migrate/:sessionId", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    // fail lama tanpa session -> session dicipta semasa load (migrateLegacyCardsOnLoad)
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const legacy = await readLegacyCards(sid);
+    const out = await withCardWrite(sid, async (s) => {
+      const added = mergeLegacyCards(s, legacy);
+      if (added.length) await recordEvent(sid, { type: "cards.migrated", actor: requestActor(req), after: added });
+      return { added };
+    });
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      migration: sessions[sid]?.legacyMigration || null,
+      totalCards: out.total,
+      version: out.version,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// ===============================
+// SESSION CUS (untuk ClusterPage "Reload CU (cus)")
+// ===============================
+
+// versi utama: frontend panggil /api/session/cus/:sessionId
+app.get("/api/session/cus/:sessionId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      cus: Array.isArray(s.cus) ? s.cus : [],
+      appliedAt: s.appliedAt || null,
+      updatedAt: s.updatedAt || null,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// alias fallback (kalau ada code lama panggil query ?sessionId=...)
+app.get("/api/session/cus", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.query?.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      cus: Array.isArray(s.cus) ? s.cus : [],
+      appliedAt: s.appliedAt || null,
+      updatedAt: s.updatedAt || null,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * 2b) SESSION BUNDLE (EXPORT / IMPORT)
+ * GET  /api/session/:sessionId/bundle   -> satu fail JSON untuk seluruh bengkel DACUM
+ * POST /api/session/import              -> body: { bundle, sessionId?, overwrite? }
+ * Isi: session (kad, config, cus, hasil MySPIKE), cluster result terakhir, sejarah run cluster,
+ *      semua versi CP, semua versi CPC, audit trail (events).
+ * Kod join tidak diimport (milik session asal) — jana kod baru selepas import.
+ * ====================================================== */
+const BUNDLE_KIND = "inoss.sessionBundle";
+const BUNDLE_FORMAT_VERSION = 1;
+
+function bundleChecksum(payload) {
+  return crypto.createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+/** semak bentuk dokumen dalam bundle -> mesej ralat atau null */
+function bundleShapeError(bundle) {
+  if (!isPlainObject(bundle.session) || !Array.isArray(bundle.session.cards)) return "Bundle tiada session.cards";
+  if (bundle.session.cards.some((c) => !isPlainObject(c))) return "session.cards mesti senarai objek kad";
+  if (bundle.cluster != null && (!isPlainObject(bundle.cluster) || !Array.isArray(bundle.cluster.clusters))) {
+    return "cluster mesti objek dengan clusters[]";
+  }
+  if (bundle.cp != null && !isPlainObject(bundle.cp)) return "cp mesti objek";
+  if (bundle.cpc != null) {
+    const ok = isPlainObject(bundle.cpc) && Array.isArray(bundle.cpc.versions) && bundle.cpc.versions.every((v) => isPlainObject(v?.cpc));
+    if (!ok) return "cpc mesti objek dengan versions[{ cpc }]";
+  }
+  if (bundle.clusterRuns != null) {
+    const ok =
+      isPlainObject(bundle.clusterRuns) && Array.isArray(bundle.clusterRuns.runs) && bundle.clusterRuns.runs.every((r) => isPlainObject(r?.result));
+    if (!ok) return "clusterRuns mesti objek dengan runs[{ result }]";
+  }
+  if (bundle.events !== undefined && (!Array.isArray(bundle.events) || bundle.events.some((ev) => !isPlainObject(ev)))) {
+    return "events mesti senarai objek";
+  }
+  return null;
+}
+
+function buildSessionBundle(sid) {
+  const s = sessions[sid];
+  const payload = {
+    session: s,
+    cluster: clusterStore[sid] || null,
+    cp: cpStore[sid] || {},
+    cpc: cpcStore[sid] || null,
+    events: eventStore[sid]?.events || [],
+    clusterRuns: clusterRunStore[sid] || null,
+  };
+
+  const cpVersions = Object.values(payload.cp).reduce((n, b) => n + (Array.isArray(b?.versions) ? b.versions.length : 0), 0);
+
+  return {
+    kind: BUNDLE_KIND,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    exportedAt: nowISO(),
+    sessionId: sid,
+    summary: {
+      cards: Array.isArray(s.cards) ? s.cards.length : 0,
+      cus: Array.isArray(s.cus) ? s.cus.length : 0,
+      cpUnits: Object.keys(payload.cp).length,
+      cpVersions,
+      myspikeCompare: Array.isArray(s.myspikeCompare) ? s.myspikeCompare.length : 0,
+      hasClusterResult: !!payload.cluster,
+      clusterRuns: payload.clusterRuns?.runs?.length || 0,
+      cpcVersions: payload.cpc?.versions?.length || 0,
+      events: payload.events.length,
+    },
+    checksum: bundleChecksum(payload),
+    ...payload,
+  };
+}
+
+app.get("/api/session/:sessionId/bundle", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const bundle = buildSessionBundle(sid);
+
+    if (String(req.query?.download || "") === "1") {
+      const fname = `inoss-${sanitizeSessionId(sid)}-${bundle.exportedAt.slice(0, 10)}.json`;
+      res.setHeader("Content-Disposition", `attachment; filename="${fname}"`);
+    }
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.send(JSON.stringify(bundle, null, 2));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/session/import", requireRole("admin"), async (req, res) => {
+  try {
+    const bundle = req.body?.bundle || req.body || {};
+    const overwrite = req.body?.overwrite === true;
+
+    if (bundle.kind !== BUNDLE_KIND) {
+      return res.status(400).json({ ok: false, error: `Bukan bundle session (kind mesti "${BUNDLE_KIND}")` });
+    }
+    if (Number(bundle.formatVersion) > BUNDLE_FORMAT_VERSION) {
+      return res.status(400).json({ ok: false, error: `formatVersion ${bundle.formatVersion} tidak disokong` });
+    }
+    const shapeError = bundleShapeError(bundle);
+    if (shapeError) return res.status(400).json({ ok: false, error: shapeError });
+
+    const payload = { session: bundle.session, cluster: bundle.cluster || null, cp: bundle.cp || {} };
+    // bundle lama tiada cpc / events / clusterRuns — checksum tanpa medan itu (susunan medan ikut export)
+    if (bundle.cpc !== undefined) payload.cpc = bundle.cpc;
+    if (Array.isArray(bundle.events)) payload.events = bundle.events;
+    if (bundle.clusterRuns !== undefined) payload.clusterRuns = bundle.clusterRuns;
+    if (bundle.checksum && bundle.checksum !== bundleChecksum(payload)) {
+      return res.status(400).json({ ok: false, error: "Checksum bundle tidak sepadan (fail rosak atau telah diubah)" });
+    }
+
+    const sid = String(req.body?.sessionId || bundle.sessionId || bundle.session.sessionId || "").trim();
+    if (!sid || sanitizeSessionId(sid) !== sid) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const existing = await loadSession(sid);
+      if (existing && !overwrite) return { exists: true };
+      if (existing) await dropSessionJoinCodes(sid, existing);
+
+      // joinCodes milik session asal: salinan tidak boleh guna (atau padam) QR session asal
+      const { joinCodes, ...importedSession } = payload.session;
+      sessions[sid] = {
+        ...importedSession,
+        sessionId: sid,
+        // timpa session sedia ada -> version naik supaya LiveBoard yang masih terbuka dapat 409
+        version: existing ? existing.version + 1 : isSessionVersion(importedSession.version) ? importedSession.version : 1,
+        importedAt: nowISO(),
+        importedFrom: { sessionId: bundle.sessionId || null, exportedAt: bundle.exportedAt || null },
+        updatedAt: nowISO(),
+      };
+      // null = tiada dokumen (timpa fail lama jika overwrite)
+      clusterStore[sid] = payload.cluster ? { ...payload.cluster, sessionId: sid } : null;
+      clusterRunStore[sid] = payload.clusterRuns?.runs
+        ? {
+            ...payload.clusterRuns,
+            runs: payload.clusterRuns.runs.map((r) => ({
+              ...r,
+              result: { ...r.result, sessionId: sid },
+              ...(r.editedResult ? { editedResult: { ...r.editedResult, sessionId: sid } } : {}),
+            })),
+          }
+        : null;
+      cpStore[sid] = payload.cp;
+      cpcStore[sid] = payload.cpc ? { ...payload.cpc, versions: payload.cpc.versions.map((v) => ({ ...v, cpc: { ...v.cpc, sessionId: sid } })) } : null;
+
+      const events = (payload.events || []).map((ev) => ({ ...ev, sessionId: sid }));
+      eventStore[sid] = { seq: events.reduce((m, ev) => Math.max(m, Number(ev.seq) || 0), 0), events };
+      eventChunksSaved.set(sid, 0); // timpa semua chunk lama
+
+      await persistSession(sid);
+      await recordEvent(sid, {
+        type: "session.imported",
+        actor: requestActor(req),
+        target: { fromSessionId: bundle.sessionId || null },
+        after: { session: sessions[sid], cluster: clusterStore[sid], cp: cpStore[sid], cpc: cpcStore[sid] },
+      });
+      return { imported: true };
+    });
+
+    if (out.exists) {
+      return res.status(409).json({ ok: false, error: "Session sudah wujud. Hantar overwrite: true untuk timpa.", sessionId: sid });
+    }
+
+    return res.json({ ok: true, sessionId: sid, imported: true, summary: buildSessionBundle(sid).summary });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * 2c) SESSION CATALOG
+ * GET    /api/sessions                      ?q=&lang=&locked=&phase=&status=&from=&to=&dateField=&page=&limit=
+ * POST   /api/sessions                      body: { sessionId?, lang?, teras?: [string], terasTitle? }
+ * GET    /api/sessions/:sessionId
+ * POST   /api/sessions/:sessionId/archive
+ * POST   /api/sessions/:sessionId/unarchive
+ * DELETE /api/sessions/:sessionId           (mesti archive dahulu, atau ?force=1)
+ * ====================================================== */
+
+/** fasa bengkel (dianggar daripada state session) */
+function deriveSessionPhase(s, cp) {
+  const cpUnits = Object.values(cp || {});
+  if (Array.isArray(s?.myspikeCompare) && s.myspikeCompare.length) return "compare";
+  if (cpUnits.length) return "cp";
+  if (Array.isArray(s?.cus) && s.cus.length) return "apply";
+  if (s?.langLocked) return "cluster";
+  return "brainstorm";
+}
+
+function sessionCatalogEntry(s, cp) {
+  const cpUnits = Object.values(cp || {});
+  const lockedUnits = cpUnits.filter((b) => {
+    const latest = Array.isArray(b?.versions) ? b.versions[b.versions.length - 1] : null;
+    return latest?.cp?.status === "LOCKED";
+  }).length;
+
+  return {
+    sessionId: s.sessionId,
+    status: s.status || "active",
+    archivedAt: s.archivedAt || null,
+    createdAt: s.createdAt || null,
+    updatedAt: s.updatedAt || null,
+    lang: String(s.lang || "MS").toUpperCase(),
+    langLocked: !!s.langLocked,
+    terasTitle: s.terasTitle || "",
+    terasCount: sessionTeras(s).length,
+    phase: s.phase || deriveSessionPhase(s, cp),
+    cardCount: Array.isArray(s.cards) ? s.cards.filter(isCardLive).length : 0,
+    cuCount: Array.isArray(s.cus) ? s.cus.length : 0,
+    cp: { units: cpUnits.length, locked: lockedUnits, allLocked: cpUnits.length > 0 && lockedUnits === cpUnits.length },
+  };
+}
+
+/* ------------------------------------------------------
+ * Indeks katalog: satu dokumen store `_catalog` = { sessions: { [sid]: sessionCatalogEntry } }.
+ * persistSession (session / cp) dan delete kemas kini entri; GET /api/sessions baca indeks sahaja.
+ * Store lama tanpa indeks -> dibina sekali dengan imbas semua session.
+ * ------------------------------------------------------ */
+const CATALOG_DOCS = ["session", "cp"];
+let sessionCatalog = null; // Promise<Map sid -> entry>
+let catalogWrite = Promise.resolve();
+let catalogWritePending = false;
+
+// baca session + cp tanpa masukkan ke cache (bina semula indeks tak perlu hydrate semua session)
+async function readCatalogDocs(key) {
+  const cached = Object.values(sessions).find((x) => x && sanitizeSessionId(x.sessionId) === key);
+  if (cached && loadedSessions.has(cached.sessionId)) {
+    return { session: cached, cp: cpStore[cached.sessionId] || null };
+  }
+  const [session, cp] = await Promise.all([sessionStore.read(key, "session"), sessionStore.read(key, "cp")]);
+  return { session, cp };
+}
+
+async function scanSessionCatalog() {
+  const keys = await sessionStore.list();
+  const entries = new Map();
+
+  // baca berkumpulan supaya tak buka terlalu banyak request serentak
+  for (let i = 0; i < keys.length; i += 10) {
+    const docs = await Promise.all(keys.slice(i, i + 10).map(readCatalogDocs));
+    for (const d of docs) {
+      if (d.session && d.session.sessionId) entries.set(d.session.sessionId, sessionCatalogEntry(d.session, d.cp));
+    }
+  }
+  return entries;
+}
+
+function loadSessionCatalog() {
+  if (!sessionCatalog) {
+    sessionCatalog = (async () => {
+      const doc = await sessionStore.readIndex("catalog");
+      if (isPlainObject(doc?.sessions)) return new Map(Object.entries(doc.sessions));
+
+      const entries = await scanSessionCatalog();
+      await sessionStore.writeIndex("catalog", { sessions: Object.fromEntries(entries) });
+      return entries;
+    })();
+    sessionCatalog.catch(() => (sessionCatalog = null)); // gagal baca -> cuba semula pada panggilan seterusnya
+  }
+  return sessionCatalog;
+}
+
+// tulis indeks bersiri; perubahan semasa tulisan berjalan digabung ke satu tulisan seterusnya
+function writeSessionCatalog(entries) {
+  if (catalogWritePending) return catalogWrite;
+  catalogWritePending = true;
+  catalogWrite = catalogWrite
+    .catch(() => {})
+    .then(() => {
+      catalogWritePending = false;
+      return sessionStore.writeIndex("catalog", { sessions: Object.fromEntries(entries) });
+    });
+  return catalogWrite;
+}
+
+/** kemas kini (atau buang jika session tiada dalam memory) entri katalog sid */
+async function updateSessionCatalog(sid) {
+  const entries = await loadSessionCatalog();
+  if (sessions[sid]) entries.set(sid, sessionCatalogEntry(sessions[sid], cpStore[sid]));
+  else entries.delete(sid);
+  await writeSessionCatalog(entries);
+}
+
+async function listSessionCatalog() {
+  return [...(await loadSessionCatalog()).values()];
+}
+
+app.get("/api/sessions", requireRole("facilitator"), async (req, res) => {
+  try {
+    const q = String(req.query?.q || "").trim().toLowerCase();
+    const lang = String(req.query?.lang || "").trim().toUpperCase();
+    const locked = String(req.query?.locked || "").trim().toLowerCase();
+    const phase = String(req.query?.phase || "").trim().toLowerCase();
+    const status = String(req.query?.status || "active").trim().toLowerCase();
+    const dateField = req.query?.dateField === "updatedAt" ? "updatedAt" : "createdAt";
+    const from = req.query?.from ? Date.parse(req.query.from) : null;
+    const to = req.query?.to ? Date.parse(req.query.to) : null;
+    const page = Math.max(1, Number(req.query?.page || 1));
+    const limit = Math.max(1, Math.min(100, Number(req.query?.limit || 20)));
+
+    if ((from !== null && Number.isNaN(from)) || (to !== null && Number.isNaN(to))) {
+      return res.status(400).json({ ok: false, error: "from/to mesti tarikh ISO yang sah" });
+    }
+
+    const all = await listSessionCatalog();
+    const items = all
+      .filter((x) => status === "all" || x.status === status)
+      .filter((x) => !lang || x.lang === lang)
+      .filter((x) => !locked || x.langLocked === (locked === "true" || locked === "1"))
+      .filter((x) => !phase || x.phase === phase)
+      .filter((x) => !q || x.sessionId.toLowerCase().includes(q) || x.terasTitle.toLowerCase().includes(q))
+      .filter((x) => {
+        const t = Date.parse(x[dateField] || "");
+        if (from !== null && !(t >= from)) return false;
+        if (to !== null && !(t <= to)) return false;
+        return true;
+      })
+      .sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+
+    return res.json({
+      ok: true,
+      total: items.length,
+      page,
+      limit,
+      pages: Math.max(1, Math.ceil(items.length / limit)),
+      items: items.slice((page - 1) * limit, page * limit),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/sessions", requireRole("facilitator"), async (req, res) => {
+  try {
+    const stamp = nowISO().slice(0, 10).replace(/-/g, "");
+    const sid = String(req.body?.sessionId || `DACUM-${stamp}-${crypto.randomBytes(2).toString("hex")}`).trim();
+    if (!sid || sanitizeSessionId(sid) !== sid) {
+      return res.status(400).json({ ok: false, error: "sessionId hanya boleh mengandungi huruf, nombor, '_' dan '-' (maks 64, mula dengan huruf/nombor)" });
+    }
+
+    const lang = String(req.body?.lang || "MS").toUpperCase().trim();
+    if (!["MS", "EN"].includes(lang)) return res.status(400).json({ ok: false, error: "lang mesti 'MS' atau 'EN'." });
+
+    // teras: [string | { terasTitle }] atau terasTitle tunggal (compat)
+    const rawTeras = Array.isArray(req.body?.teras) ? req.body.teras : req.body?.terasTitle ? [req.body.terasTitle] : null;
+    const { list: teras, error: terasError } = rawTeras ? normalizeTerasList(rawTeras) : {};
+    if (terasError) return res.status(400).json({ ok: false, error: terasError });
+
+    const out = await withWriteQueue(`session:${sid}`, async () => {
+      if (await loadSession(sid)) return { exists: true };
+
+      sessions[sid] = newSessionDoc(sid);
+      sessions[sid].lang = lang;
+      if (teras) setSessionTeras(sessions[sid], teras);
+      await persistSession(sid, ["session"]);
+      await recordEvent(sid, { type: "session.created", actor: requestActor(req), after: sessions[sid] });
+      return { created: true };
+    });
+
+    if (out.exists) return res.status(409).json({ ok: false, error: "Session sudah wujud", sessionId: sid });
+    return res.status(201).json({ ok: true, session: sessionCatalogEntry(sessions[sid], cpStore[sid]) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/sessions/:sessionId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    return res.json({ ok: true, session: sessionCatalogEntry(s, cpStore[sid]) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+async function setSessionArchived(req, res, archived) {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const before = pickFields(s, ["status", "archivedAt"]);
+    s.status = archived ? "archived" : "active";
+    s.archivedAt = archived ? nowISO() : null;
+    s.updatedAt = nowISO();
+    await persistSession(sid, ["session"]);
+    await recordEvent(sid, {
+      type: archived ? "session.archived" : "session.unarchived",
+      actor: requestActor(req),
+      before,
+      after: pickFields(s, ["status", "archivedAt"]),
+    });
+    broadcastSessionUpdate(sid, s);
+
+    return res.json({ ok: true, session: sessionCatalogEntry(s, cpStore[sid]) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+}
+
+app.post("/api/sessions/:sessionId/archive", requireRole("facilitator"), (req, res) => setSessionArchived(req, res, true));
+app.post("/api/sessions/:sessionId/unarchive", requireRole("facilitator"), (req, res) => setSessionArchived(req, res, false));
+
+app.delete("/api/sessions/:sessionId", requireRole("admin"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const key = sanitizeSessionId(sid);
+    const force = ["1", "true"].includes(String(req.query?.force || "").toLowerCase());
+
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+    if (s.status !== "archived" && !force) {
+      return res.status(400).json({ ok: false, error: "Archive session dahulu sebelum padam (atau guna ?force=1)" });
+    }
+
+    await withWriteQueue(`session:${key}`, async () => {
+      await sessionStore.remove(key);
+      // fail lama juga dipadam supaya migrasi tak hidupkan semula session ini
+      if (objectStoreReady()) {
+        await s3DeletePrefix(`sessions/${key}`);
+        await s3DeletePrefix(`${S3_PREFIX}/${key}`);
+      }
+      // kod join session ini tidak lagi boleh resolve (QR lama)
+      await dropSessionJoinCodes(sid, s);
+      SESSION_DOC_NAMES.forEach((doc) => delete SESSION_DOCS[doc][sid]);
+      eventChunksSaved.delete(sid);
+      loadedSessions.delete(sid);
+      await updateSessionCatalog(sid);
+    });
+
+    broadcast(sid, "session:deleted", { sessionId: sid });
+    return res.json({ ok: true, sessionId: sid, deleted: true });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * 2d) SESSION EVENTS (AUDIT TRAIL)
+ * GET /api/session/:sessionId/events   ?type=a,b&actor=&cardId=&cuKey=&from=&to=&sinceSeq=&limit=
+ * GET /api/session/:sessionId/replay   ?at=<ISO> | ?seq=<n>  -> state session pada titik itu
+ * ====================================================== */
+app.get("/api/session/:sessionId/events", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const q = req.query || {};
+    const types = String(q.type || "").split(",").map((x) => x.trim()).filter(Boolean);
+    const actor = String(q.actor || "").trim().toLowerCase();
+    const cardId = String(q.cardId || "").trim();
+    const cuKey = String(q.cuKey || "").trim().toLowerCase();
+    const fromT = q.from ? Date.parse(q.from) : null;
+    const toT = q.to ? Date.parse(q.to) : null;
+    const sinceSeq = Number(q.sinceSeq || 0);
+    const limit = Math.min(1000, Math.max(1, Number(q.limit || 200)));
+
+    const touchesCard = (ev) =>
+      String(ev.target?.cardId || "") === cardId ||
+      (Array.isArray(ev.after) && ev.after.some((c) => String(c?.id) === cardId));
+
+    const all = eventStore[sid]?.events || [];
+    const items = all.filter((ev) => {
+      if (ev.seq <= sinceSeq) return false;
+      if (types.length && !types.includes(ev.type)) return false;
+      if (actor && String(ev.actor?.name || "").toLowerCase() !== actor) return false;
+      if (cardId && !touchesCard(ev)) return false;
+      if (cuKey && String(ev.target?.cuKey || "") !== cuKey) return false;
+      if (fromT !== null && Date.parse(ev.at) < fromT) return false;
+      if (toT !== null && Date.parse(ev.at) > toT) return false;
+      return true;
+    });
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      lastSeq: eventStore[sid]?.seq || 0,
+      total: items.length,
+      items: items.slice(0, limit),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/session/:sessionId/replay", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const at = req.query?.at ? String(req.query.at) : null;
+    const seq = req.query?.seq !== undefined ? Number(req.query.seq) : null;
+    if (at && Number.isNaN(Date.parse(at))) return res.status(400).json({ ok: false, error: "at mesti tarikh ISO" });
+    if (seq !== null && !Number.isInteger(seq)) return res.status(400).json({ ok: false, error: "seq mesti integer" });
+
+    const out = replaySessionEvents(sid, { at, seq });
+    return res.json({ ok: true, sessionId: sid, at, seq, ...out });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * 2e) DIF RATING (Difficulty / Importance / Frequency)
+ * POST /api/session/:sessionId/ratings          body: { rater?, ratings: [{ cardId | cuId+waId, difficulty, importance, frequency }] }
+ * GET  /api/session/:sessionId/ratings          ?rater=  -> rating mentah
+ * GET  /api/session/:sessionId/ratings/summary  -> agregat per kad, WA, CU
+ * Skala 1–5. Satu rating per panel per sasaran (hantar semula = kemas kini).
+ * s.ratings = { [targetKey]: { [rater]: { difficulty, importance, frequency, rater, at } } }
+ *   targetKey: "card:<cardId>" | "wa:<cuId>/<waId>"
+ * ====================================================== */
+const DIF_DIMENSIONS = ["difficulty", "importance", "frequency"];
+const DIF_SCALE = { min: 1, max: 5 };
+
+function difTargetKey(r) {
+  const cardId = String(r?.cardId || "").trim();
+  if (cardId) return `card:${cardId}`;
+  const cuId = String(r?.cuId || "").trim();
+  const waId = String(r?.waId || "").trim();
+  return cuId && waId ? `wa:${cuId}/${waId}` : "";
+}
+
+/** struktur CU -> WA -> cardIds (ikut s.cus; fallback cuTitle pada kad) */
+function difStructure(s) {
+  const live = s.cards.filter(isCardLive);
+  if (Array.isArray(s.cus) && s.cus.length) {
+    return s.cus.map((cu) => ({
+      cuId: cu.cuId,
+      cuTitle: cu.cuTitle,
+      was: (cu.activities || []).map((wa) => ({ waId: wa.waId, waTitle: wa.waTitle, cardIds: (wa.cardIds || []).map(String) })),
+    }));
+  }
+
+  const byCu = new Map();
+  live.forEach((c) => {
+    const cuTitle = String(c.cuTitle || "").trim();
+    if (!cuTitle) return;
+    if (!byCu.has(cuTitle)) byCu.set(cuTitle, []);
+    byCu.get(cuTitle).push(c);
+  });
+  return [...byCu.entries()].map(([cuTitle, cards]) => ({
+    cuId: cuTitle,
+    cuTitle,
+    was: cards.map((c) => ({ waId: String(c.id), waTitle: getCardText(c), cardIds: [String(c.id)] })),
+  }));
+}
+
+function summarizeDif(entries) {
+  const n = entries.length;
+  const out = { n };
+  if (!n) return { n, difficulty: null, importance: null, frequency: null, criticality: null };
+
+  DIF_DIMENSIONS.forEach((dim) => {
+    const vals = entries.map((e) => e[dim]);
+    const mean = vals.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(vals.reduce((a, v) => a + (v - mean) ** 2, 0) / n);
+    out[dim] = { mean: Number(mean.toFixed(2)), sd: Number(sd.toFixed(2)), min: Math.min(...vals), max: Math.max(...vals) };
+  });
+
+  // indeks kritikal 0–1: (D × I × F) / max^3 — tinggi = perlu lebih penekanan latihan
+  const product = DIF_DIMENSIONS.reduce((p, dim) => p * out[dim].mean, 1);
+  out.criticality = Number((product / DIF_SCALE.max ** 3).toFixed(3));
+  return out;
+}
+
+/** agregat rating per kad, WA dan CU */
+function aggregateDifRatings(s) {
+  const ratings = s.ratings || {};
+  const entriesOf = (key) => Object.values(ratings[key] || {});
+  const raters = new Set(Object.values(ratings).flatMap((byRater) => Object.keys(byRater)));
+
+  const cards = s.cards
+    .filter(isCardLive)
+    .map((c) => ({ cardId: c.id, activity: getCardText(c), ...summarizeDif(entriesOf(`card:${c.id}`)) }))
+    .filter((c) => c.n);
+
+  const cus = difStructure(s).map((cu) => {
+    const was = cu.was.map((wa) => {
+      // rating WA = rating terus pada WA + rating kad di dalamnya
+      const entries = [...entriesOf(`wa:${cu.cuId}/${wa.waId}`), ...wa.cardIds.flatMap((id) => entriesOf(`card:${id}`))];
+      return { waId: wa.waId, waTitle: wa.waTitle, ...summarizeDif(entries), _entries: entries };
+    });
+    const all = was.flatMap((wa) => wa._entries);
+    return {
+      cuId: cu.cuId,
+      cuTitle: cu.cuTitle,
+      ...summarizeDif(all),
+      was: was.map(({ _entries, ...wa }) => wa),
+    };
+  });
+
+  const ranked = cus
+    .flatMap((cu) => cu.was.filter((wa) => wa.n).map((wa) => ({ cuId: cu.cuId, cuTitle: cu.cuTitle, ...wa })))
+    .sort((a, b) => b.criticality - a.criticality);
+
+  return {
+    scale: DIF_SCALE,
+    raters: raters.size,
+    ratedCards: cards.length,
+    cards,
+    cus,
+    topCritical: ranked.slice(0, 10),
+  };
+}
+
+app.post("/api/session/:sessionId/ratings", requireRole("panel"), requirePhase("ratings.submit"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const actor = requestActor(req);
+    const rater = String(req.auth ? req.auth.name : req.body?.rater || (actor.name !== "anonymous" ? actor.name : "")).trim();
+    if (!rater) return res.status(400).json({ ok: false, error: "rater (nama panel) diperlukan" });
+
+    const list = Array.isArray(req.body?.ratings) ? req.body.ratings : [req.body];
+
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const s = sessions[sid];
+      const liveIds = new Set(s.cards.filter(isCardLive).map((c) => String(c.id)));
+      const waKeys = new Set(difStructure(s).flatMap((cu) => cu.was.map((wa) => `wa:${cu.cuId}/${wa.waId}`)));
+
+      const saved = [];
+      const errors = [];
+      list.forEach((r, i) => {
+        const key = difTargetKey(r);
+        if (!key) return errors.push({ index: i, error: "cardId atau cuId+waId diperlukan" });
+        if (key.startsWith("card:") && !liveIds.has(key.slice(5))) return errors.push({ index: i, error: "Kad tidak ditemui" });
+        if (key.startsWith("wa:") && !waKeys.has(key)) return errors.push({ index: i, error: "WA tidak ditemui" });
+
+        const entry = { rater, at: nowISO() };
+        for (const dim of DIF_DIMENSIONS) {
+          const v = Number(r?.[dim]);
+          if (!Number.isInteger(v) || v < DIF_SCALE.min || v > DIF_SCALE.max) {
+            return errors.push({ index: i, error: `${dim} mesti integer ${DIF_SCALE.min}-${DIF_SCALE.max}` });
+          }
+          entry[dim] = v;
+        }
+
+        s.ratings = s.ratings || {};
+        s.ratings[key] = { ...(s.ratings[key] || {}), [rater]: entry };
+        saved.push({ target: key, ...entry });
+      });
+
+      if (saved.length) {
+        s.updatedAt = nowISO();
+        await persistSession(sid, ["session"]);
+        await recordEvent(sid, { type: "ratings.submitted", actor: { ...actor, name: rater }, after: saved });
+        broadcast(sid, "ratings:update", { sessionId: sid, rater, targets: saved.map((x) => x.target) });
+      }
+      return { saved, errors };
+    });
+
+    const status = out.saved.length ? 200 : 400;
+    return res.status(status).json({ ok: out.saved.length > 0, sessionId: sid, rater, ...out });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/session/:sessionId/ratings", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const rater = String(req.query?.rater || "").trim();
+    const items = Object.entries(s.ratings || {}).flatMap(([target, byRater]) =>
+      Object.values(byRater)
+        .filter((e) => !rater || e.rater === rater)
+        .map((e) => ({ target, ...e }))
+    );
+    return res.json({ ok: true, sessionId: sid, total: items.length, items });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/session/:sessionId/ratings/summary", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    return res.json({ ok: true, sessionId: sid, ...aggregateDifRatings(s) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ======================================================
+ * 2f) JOIN CODE + QR
+ * POST   /api/session/:sessionId/join-codes              body: { role: panel|observer, ttlMinutes? }
+ * GET    /api/session/:sessionId/join-codes
+ * DELETE /api/session/:sessionId/join-codes/:code        (revoke)
+ * GET    /api/session/:sessionId/join-codes/:code/qr     ?format=png|svg&size=
+ * GET    /api/join/:code   ?exp=&sig=                     -> { sessionId, role } (sig wajib)
+ * GET    /j/:code          ?exp=&sig=                     -> redirect ke join URL (short link, sig wajib)
+ * Laluan awam (di atas + POST /api/auth/join + socket session:join { code }) dihadkan JOIN_GUESS_MAX
+ * cubaan kod salah per IP setiap 15 minit (429).
+ * Kod disimpan dalam s.joinCodes; index kod -> session di <JOIN_CODE_PREFIX>/<CODE>.json
+ * ====================================================== */
+const JOIN_CODE_PREFIX = process.env.JOIN_CODE_PREFIX || "inoss/joincodes";
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // tiada 0/O/1/I (mudah dibaca)
+const JOIN_CODE_LENGTH = 6;
+const JOIN_ROLES = ["panel", "observer"];
+const JOIN_TTL_DEFAULT_MIN = 240;
+const JOIN_TTL_MAX_MIN = 7 * 24 * 60;
+
+const JOIN_LINK_SECRET = process.env.JOIN_LINK_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JOIN_LINK_SECRET) {
+  console.warn("⚠️ JOIN_LINK_SECRET tidak diset — join URL bertandatangan tidak sah selepas restart");
+}
+
+const joinCodeIndex = new Map(); // code -> { code, sessionId, role, expiresAt }
+
+// had cubaan kod salah per IP (kod 6 aksara boleh diteka tanpa had)
+const JOIN_GUESS_MAX = Math.max(1, Number(process.env.JOIN_GUESS_MAX || 10));
+const JOIN_GUESS_WINDOW_MS = 15 * 60 * 1000;
+const joinGuesses = new Map(); // ip -> { count, resetAt }
+
+function newJoinCode() {
+  // 256 % 32 === 0 -> tiada bias
+  return [...crypto.randomBytes(JOIN_CODE_LENGTH)].map((b) => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]).join("");
+}
+
+function normalizeJoinCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function signJoinLink({ code, sessionId, role, exp }) {
+  return crypto.createHmac("sha256", JOIN_LINK_SECRET).update(`${code}.${sessionId}.${role}.${exp}`).digest("base64url");
+}
+
+function verifyJoinSignature(params, entry) {
+  const expected = signJoinLink({ code: entry.code, sessionId: entry.sessionId, role: entry.role, exp: params.exp });
+  const a = Buffer.from(String(params.sig || ""));
+  const b = Buffer.from(expected);
+  const sameClaims =
+    String(params.exp) === String(Date.parse(entry.expiresAt)) &&
+    (params.role === undefined || params.role === entry.role) &&
+    (params.sessionId === undefined || params.sessionId === entry.sessionId);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) && sameClaims;
+}
+
+function joinCodeStatus(entry) {
+  if (entry.revokedAt) return "revoked";
+  if (Date.parse(entry.expiresAt) <= Date.now()) return "expired";
+  return "active";
+}
+
+function joinLinks(req, sessionId, entry) {
+  const apiBase = `${req.protocol}://${req.get("host")}`;
+  const base = String(process.env.JOIN_BASE_URL || apiBase).replace(/\/+$/, "");
+  const exp = Date.parse(entry.expiresAt);
+  const qs = new URLSearchParams({
+    code: entry.code,
+    sessionId,
+    role: entry.role,
+    exp: String(exp),
+    sig: signJoinLink({ code: entry.code, sessionId, role: entry.role, exp }),
+  });
+  const qrBase = `${apiBase}/api/session/${encodeURIComponent(sessionId)}/join-codes/${entry.code}/qr`;
+
+  return {
+    joinUrl: `${base}/join?${qs}`,
+    shortUrl: `${apiBase}/j/${entry.code}?${new URLSearchParams({ exp: qs.get("exp"), sig: qs.get("sig") })}`,
+    qr: { png: `${qrBase}?format=png`, svg: `${qrBase}?format=svg` },
+  };
+}
+
+/**
+ * resolveJoinCode untuk pemanggil awam (auth/join, socket, /api/join, /j):
+ * kod tidak sah / tidak ditemui dikira per IP; melebihi JOIN_GUESS_MAX dalam tetingkap -> 429
+ */
+async function resolveJoinCodeThrottled(ip, rawCode) {
+  const key = String(ip || "unknown");
+  const now = Date.now();
+  let guess = joinGuesses.get(key);
+  if (guess && guess.resetAt <= now) {
+    joinGuesses.delete(key);
+    guess = null;
+  }
+  if (guess && guess.count >= JOIN_GUESS_MAX) {
+    return { error: "Terlalu banyak cubaan kod join. Cuba lagi kemudian.", status: 429 };
+  }
+
+  const r = await resolveJoinCode(rawCode);
+  if (r.status === 400 || r.status === 404) {
+    if (!guess) {
+      if (joinGuesses.size >= 10000) joinGuesses.forEach((g, k) => g.resetAt <= now && joinGuesses.delete(k));
+      joinGuesses.set(key, (guess = { count: 0, resetAt: now + JOIN_GUESS_WINDOW_MS }));
+    }
+    guess.count += 1;
+  }
+  return r;
+}
+
+/** buang index kod join session ini; index yang menunjuk session lain tidak disentuh */
+async function dropSessionJoinCodes(sid, s) {
+  for (const { code } of Array.isArray(s?.joinCodes) ? s.joinCodes : []) {
+    const key = `${JOIN_CODE_PREFIX}/${code}.json`;
+    const idx = joinCodeIndex.get(code) || (objectStoreReady() ? await s3GetJson(key, null) : null);
+    if (idx && idx.sessionId !== sid) continue;
+    joinCodeIndex.delete(code);
+    if (objectStoreReady()) await s3DeleteObject(key);
+  }
+}
 
-/**
- * Sync cards daripada LiveBoard (S3) -> sessions[sid].cards (memory)
- * Tujuan: Cluster Page perlu nampak kad yang panel masukkan di Live Board.
- * NOTE: LiveBoard sekarang simpan di S3 (liveboard.json). Cluster sebelum ini baca dari memory sahaja.
- */
-async function syncSessionCardsFromS3(sessionId) {
-  try {
-    const sid = String(sessionId || "").trim();
-    if (!sid) return { ok: false, reason: "no_session" };
+/** kod -> { sessionId, role, code, expiresAt } atau { error, status } */
+async function resolveJoinCode(rawCode) {
+  const code = normalizeJoinCode(rawCode);
+  if (!new RegExp(`^[${JOIN_CODE_ALPHABET}]{${JOIN_CODE_LENGTH}}$`).test(code)) {
+    return { error: "Kod join tidak sah", status: 400 };
+  }
+
+  let idx = joinCodeIndex.get(code);
+  if (!idx && objectStoreReady()) {
+    idx = await s3GetJson(`${JOIN_CODE_PREFIX}/${code}.json`, null);
+    if (idx) joinCodeIndex.set(code, idx);
+  }
+  if (!idx) return { error: "Kod join tidak ditemui", status: 404 };
+
+  const s = await loadSession(idx.sessionId);
+  const entry = (s?.joinCodes || []).find((c) => c.code === code);
+  if (!entry) return { error: "Kod join tidak ditemui", status: 404 };
 
-    // kalau env S3 tak set, skip (kekal guna memory)
-    if (!S3_BUCKET_INOSS) return { ok: false, reason: "no_s3_bucket" };
+  const status = joinCodeStatus(entry);
+  if (status === "revoked") return { error: "Kod join telah dibatalkan", status: 410 };
+  if (status === "expired") return { error: "Kod join telah tamat tempoh", status: 410 };
+  if (s.status === "archived") return { error: "Session telah diarkib", status: 410 };
 
-    const key = s3KeyLiveboard(sid);
-    if (!key) return { ok: false, reason: "bad_key" };
+  return { code, sessionId: idx.sessionId, role: entry.role, expiresAt: entry.expiresAt, entry };
+}
 
-    // jika file tak wujud lagi, skip
-    const exists = await s3Exists(key);
-    if (!exists) return { ok: false, reason: "no_liveboard_file" };
+app.post("/api/session/:sessionId/join-codes", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-    const board = await s3GetJson(key);
-    const list = Array.isArray(board?.cards) ? board.cards : [];
-    if (!list.length) return { ok: true, imported: 0 };
+    const role = String(req.body?.role || "panel").toLowerCase().trim();
+    if (!JOIN_ROLES.includes(role)) return res.status(400).json({ ok: false, error: `role mesti ${JOIN_ROLES.join(" / ")}` });
 
-    // convert bentuk kad S3 -> bentuk kad memory yang digunakan oleh clustering/CPC
-    const mapped = list
-      .map((c, idx) => {
-        const activity = String(
-          c?.activity || c?.text || c?.name || c?.title || c?.waTitle || ""
-        ).trim();
-        if (!activity) return null;
-        const id = c?.id ?? `${Date.now()}-${idx}`;
-        return {
-          id,
-          name: String(c?.panelName || c?.name || "Panel").trim(),
-          activity,
-          time: String(c?.time || c?.createdAt || c?.timestamp || nowISO()),
-          // simpan asal untuk audit/debug
-          _src: "s3-liveboard",
-        };
-      })
-      .filter(Boolean);
+    const ttlMinutes = Number(req.body?.ttlMinutes ?? JOIN_TTL_DEFAULT_MIN);
+    if (!(ttlMinutes > 0 && ttlMinutes <= JOIN_TTL_MAX_MIN)) {
+      return res.status(400).json({ ok: false, error: `ttlMinutes mesti antara 1 dan ${JOIN_TTL_MAX_MIN}` });
+    }
 
-    // merge: elak duplicate ikut id
-    const s = ensureSession(sid);
-    const existing = Array.isArray(s.cards) ? s.cards : [];
-    const seen = new Set(existing.map((c) => String(c.id)));
-    const merged = [...existing];
+    const actor = requestActor(req);
+    const entry = {
+      code: null,
+      role,
+      createdAt: nowISO(),
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+      revokedAt: null,
+      createdBy: actor.name,
+    };
 
-    for (const c of mapped) {
-      const keyId = String(c.id);
-      if (seen.has(keyId)) continue;
-      merged.push(c);
-      seen.add(keyId);
+    // cari kod yang belum wujud (ifNoneMatch elak dua session dapat kod sama)
+    for (let attempt = 0; attempt < 5 && !entry.code; attempt++) {
+      const code = newJoinCode();
+      if (joinCodeIndex.has(code)) continue;
+      const idx = { code, sessionId: sid, role, expiresAt: entry.expiresAt };
+      if (objectStoreReady()) {
+        try {
+          await s3PutJson(`${JOIN_CODE_PREFIX}/${code}.json`, idx, { ifNoneMatch: "*" });
+        } catch (e) {
+          if (isPreconditionFailed(e)) continue;
+          throw e;
+        }
+      }
+      joinCodeIndex.set(code, idx);
+      entry.code = code;
     }
+    if (!entry.code) return res.status(503).json({ ok: false, error: "Gagal jana kod join unik. Cuba lagi." });
+
+    await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const s = sessions[sid];
+      s.joinCodes = [...(Array.isArray(s.joinCodes) ? s.joinCodes : []), entry];
+      s.updatedAt = nowISO();
+      await persistSession(sid, ["session"]);
+    });
+    await recordEvent(sid, { type: "join_code.created", actor, target: { code: entry.code }, after: entry });
 
-    setSessionCards(sid, merged);
-    return { ok: true, imported: mapped.length, total: merged.length };
+    return res.status(201).json({ ok: true, sessionId: sid, ...entry, status: "active", ...joinLinks(req, sid, entry) });
   } catch (e) {
-    console.warn("syncSessionCardsFromS3 failed:", e?.message || e);
-    return { ok: false, reason: "error", detail: String(e?.message || e) };
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
-}
+});
 
+app.get("/api/session/:sessionId/join-codes", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-/* =========================
- * Socket.IO rooms
- * ========================= */
-io.on("connection", (socket) => {
-  socket.on("session:join", (payload) => {
-    try {
-      const sessionId = String(payload?.sessionId || "").trim();
-      if (!sessionId) return;
-      socket.join(sessionId);
-      socket.emit("session:joined", { sessionId });
-    } catch {}
-  });
+    const items = (s.joinCodes || []).map((c) => ({ ...c, status: joinCodeStatus(c), ...joinLinks(req, sid, c) }));
+    return res.json({ ok: true, sessionId: sid, items });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
 });
 
-/* ======================================================
- * 1) CARDS API (LiveBoard)
- * ====================================================== */
+app.delete("/api/session/:sessionId/join-codes/:code", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const code = normalizeJoinCode(req.params.code);
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const entry = (s.joinCodes || []).find((c) => c.code === code);
+    if (!entry) return res.status(404).json({ ok: false, error: "Kod join tidak ditemui" });
+    if (entry.revokedAt) return res.status(400).json({ ok: false, error: "Kod join sudah dibatalkan" });
+
+    const actor = requestActor(req);
+    await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      entry.revokedAt = nowISO();
+      entry.revokedBy = actor.name;
+      s.updatedAt = nowISO();
+      await persistSession(sid, ["session"]);
+    });
+    await recordEvent(sid, { type: "join_code.revoked", actor, target: { code }, after: entry });
+
+    // keluarkan socket yang masuk guna kod ini
+    const sockets = await io.in(sid).fetchSockets();
+    sockets
+      .filter((sock) => sock.data?.joinCode === code)
+      .forEach((sock) => {
+        sock.emit("session:revoked", { sessionId: sid, code });
+        sock.leave(sid);
+      });
 
-// Legacy routes
-app.get("/cards/:session", (req, res) => {
-  const sid = String(req.params.session || "").trim();
-  return res.json(getSessionCards(sid));
+    return res.json({ ok: true, sessionId: sid, ...entry, status: "revoked" });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
 });
 
-app.post("/cards/:session", (req, res) => {
-  const sid = String(req.params.session || "").trim();
-  const { name, activity } = req.body || {};
+app.get("/api/session/:sessionId/join-codes/:code/qr", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const r = await resolveJoinCode(req.params.code);
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
+    if (r.sessionId !== sid) return res.status(404).json({ ok: false, error: "Kod join tidak ditemui" });
+
+    const format = String(req.query?.format || "png").toLowerCase();
+    const size = Math.min(1024, Math.max(128, Number(req.query?.size || 320)));
+    const { joinUrl } = joinLinks(req, sid, r.entry);
+
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "svg") {
+      res.type("image/svg+xml");
+      return res.send(await QRCode.toString(joinUrl, { type: "svg", width: size, margin: 2 }));
+    }
+    if (format !== "png") return res.status(400).json({ ok: false, error: "format mesti png atau svg" });
 
-  const nm = String(name || "").trim();
-  const act = String(activity || "").trim();
-  if (!sid || !nm || !act) {
-    return res.status(400).json({ success: false, error: "session, name & activity required" });
+    res.type("image/png");
+    return res.send(await QRCode.toBuffer(joinUrl, { type: "png", width: size, margin: 2 }));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
+});
 
-  const card = {
-    id: Date.now(),
-    name: nm,
-    activity: act,
-    time: nowISO(),
-  };
+app.get("/api/join/:code", async (req, res) => {
+  try {
+    const r = await resolveJoinCodeThrottled(req.ip, req.params.code);
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
 
-  const cards = getSessionCards(sid);
-  cards.push(card);
+    // join URL bertandatangan: sig + exp wajib supaya role/session/tempoh tak boleh diubah
+    if (!verifyJoinSignature(req.query || {}, { ...r.entry, sessionId: r.sessionId })) {
+      return res.status(403).json({ ok: false, error: "Tandatangan join URL tidak sah" });
+    }
 
-  io.to(sid).emit("card:new", { session: sid, card });
-  return res.json({ success: true, card });
+    return res.json({ ok: true, code: r.code, sessionId: r.sessionId, role: r.role, expiresAt: r.expiresAt });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
 });
 
-app.patch("/cards/:session/:id", (req, res) => {
+app.get("/j/:code", async (req, res) => {
   try {
-    const sid = String(req.params.session || "").trim();
-    const id = String(req.params.id || "").trim();
-    const { cu, wa, cuTitle } = req.body || {};
+    const r = await resolveJoinCodeThrottled(req.ip, req.params.code);
+    if (r.error) return res.status(r.status).send(r.error);
+    if (!verifyJoinSignature(req.query || {}, { ...r.entry, sessionId: r.sessionId })) {
+      return res.status(403).send("Tandatangan join URL tidak sah");
+    }
+    return res.redirect(302, joinLinks(req, r.sessionId, r.entry).joinUrl);
+  } catch (e) {
+    return res.status(500).send(String(e?.message || e));
+  }
+});
 
-    if (!sid || !id) return res.status(400).json({ success: false, error: "session & id required" });
+/* ======================================================
+ * 2g) PARTICIPANTS + PRESENCE
+ * POST /api/session/:sessionId/participants   body: { name, organisation?, expertise?, role? }  (auth: name + role ikut token)
+ * GET  /api/session/:sessionId/participants
+ * GET  /api/session/:sessionId/attendance     ?format=json|csv  (senarai panel DACUM untuk dokumen NOSS)
+ * Socket: session:join { ..., participantId } -> presence:update { sessionId, online, total }
+ *   (auth aktif: peserta ditentukan oleh nama token, participantId payload diabaikan)
+ * s.participants = [{ participantId, name, organisation, expertise, role, registeredAt, lastSeenAt,
+ *                     visits: [{ joinedAt, leftAt }] }]
+ * ====================================================== */
+const PARTICIPANT_ROLES = ["panel", "observer", "facilitator"];
+const PARTICIPANT_VISITS_KEEP = 200;
 
-    const cards = getSessionCards(sid);
-    const idx = cards.findIndex((c) => String(c.id) === id);
-    if (idx === -1) return res.status(404).json({ success: false, error: "card not found" });
+// { [sessionId]: Map<socketId, { participantId, name, role, joinedAt }> } — in-memory sahaja
+const presence = {};
 
-    cards[idx] = {
-      ...cards[idx],
-      cu: String(cu || cards[idx].cu || "").trim(),
-      cuTitle: String(cuTitle || cards[idx].cuTitle || cards[idx].cu || "").trim(),
-      wa: String(wa || cards[idx].wa || "").trim(),
-      updatedAt: nowISO(),
-    };
+function findParticipant(s, participantId) {
+  return (s?.participants || []).find((p) => p.participantId === String(participantId || "").trim()) || null;
+}
 
-    io.to(sid).emit("card:update", { session: sid, card: cards[idx] });
-    return res.json({ success: true, card: cards[idx] });
-  } catch (e) {
-    return res.status(500).json({ success: false, error: String(e?.message || e) });
+/** peserta milik token (didaftar melalui POST /participants dengan nama token); terbaru jika nama berulang */
+function findParticipantForAuth(s, auth) {
+  const name = String(auth?.name || "").trim().toLowerCase();
+  if (!name) return null;
+  return (s?.participants || []).findLast((p) => String(p.name || "").trim().toLowerCase() === name) || null;
+}
+
+function presenceSnapshot(sessionId) {
+  const conns = [...(presence[sessionId]?.values() || [])];
+  const byParticipant = new Map();
+  let anonymous = 0;
+
+  conns.forEach((c) => {
+    if (!c.participantId) return anonymous++;
+    const cur = byParticipant.get(c.participantId);
+    if (cur) cur.connections++;
+    else byParticipant.set(c.participantId, { participantId: c.participantId, name: c.name, role: c.role, since: c.joinedAt, connections: 1 });
+  });
+
+  return { sessionId, online: [...byParticipant.values()], anonymous, total: conns.length };
+}
+
+function isParticipantOnline(sessionId, participantId) {
+  return [...(presence[sessionId]?.values() || [])].some((c) => c.participantId === participantId);
+}
+
+async function markPresenceJoin(socket, sessionId, { participantId, role } = {}) {
+  const s = await loadSession(sessionId);
+  const participant = participantId ? findParticipant(s, participantId) : null;
+
+  if (!presence[sessionId]) presence[sessionId] = new Map();
+  const wasOnline = participant ? isParticipantOnline(sessionId, participant.participantId) : false;
+
+  presence[sessionId].set(socket.id, {
+    participantId: participant?.participantId || null,
+    name: participant?.name || null,
+    role: role || participant?.role || null,
+    joinedAt: nowISO(),
+  });
+  socket.data.presenceSessions = new Set([...(socket.data.presenceSessions || []), sessionId]);
+
+  // lawatan baru bila socket pertama peserta ini masuk
+  if (participant && !wasOnline) {
+    await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      participant.lastSeenAt = nowISO();
+      participant.visits = [...(participant.visits || []), { joinedAt: participant.lastSeenAt, leftAt: null }].slice(-PARTICIPANT_VISITS_KEEP);
+      await persistSession(sessionId, ["session"]);
+    });
   }
-});
 
-// Frontend baru (compat)
-app.get("/api/cards/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  const items = getSessionCards(sid);
-  return res.json({ ok: true, sessionId: sid, items });
-});
+  broadcast(sessionId, "presence:update", presenceSnapshot(sessionId));
+  return participant;
+}
 
-app.post("/api/cards/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  if (!sid) return res.status(400).json({ ok: false, error: "Missing sessionId" });
+async function markPresenceLeave(socket, sessionId) {
+  const conn = presence[sessionId]?.get(socket.id);
+  if (!conn) return;
+
+  presence[sessionId].delete(socket.id);
+  socket.data.presenceSessions?.delete(sessionId);
+  if (!presence[sessionId].size) delete presence[sessionId];
+
+  const s = sessions[sessionId];
+  const participant = conn.participantId ? findParticipant(s, conn.participantId) : null;
+  if (participant && !isParticipantOnline(sessionId, participant.participantId)) {
+    await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      participant.lastSeenAt = nowISO();
+      const open = (participant.visits || []).findLast((v) => !v.leftAt);
+      if (open) open.leftAt = participant.lastSeenAt;
+      await persistSession(sessionId, ["session"]);
+    });
+  }
 
-  const name = String(req.body?.name || req.body?.activity || "").trim();
-  const activity = String(req.body?.activity || name || "").trim();
-  const panelName = String(req.body?.panelName || "").trim();
+  broadcast(sessionId, "presence:update", presenceSnapshot(sessionId));
+}
 
-  if (!name) return res.status(400).json({ ok: false, error: "Missing name/activity" });
+/** ringkasan kehadiran seorang peserta */
+function attendanceRow(sessionId, p) {
+  const online = isParticipantOnline(sessionId, p.participantId);
+  const visits = p.visits || [];
+  const totalMs = visits.reduce((sum, v) => {
+    // lawatan tanpa leftAt (server restart) dikira sehingga lastSeenAt
+    const end = v.leftAt ? Date.parse(v.leftAt) : online ? Date.now() : Date.parse(p.lastSeenAt || v.joinedAt);
+    return sum + Math.max(0, end - Date.parse(v.joinedAt));
+  }, 0);
 
-  const card = {
-    id: Date.now(),
-    name,
-    activity,
-    panelName,
-    time: nowISO(),
+  return {
+    participantId: p.participantId,
+    name: p.name,
+    organisation: p.organisation || "",
+    expertise: p.expertise || "",
+    role: p.role,
+    registeredAt: p.registeredAt,
+    firstJoinedAt: visits[0]?.joinedAt || null,
+    lastSeenAt: p.lastSeenAt || null,
+    visits: visits.length,
+    totalMinutes: Math.round(totalMs / 60000),
+    online,
   };
+}
+
+function csvCell(v) {
+  let str = String(v ?? "");
+  // elak formula injection bila CSV dibuka dalam Excel/Sheets (OWASP: = + - @ tab CR)
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+app.post("/api/session/:sessionId/participants", requireRole("panel"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    // auth aktif: nama + role ikut token (panel tak boleh daftar diri sebagai fasilitator)
+    const actor = requestActor(req);
+    const name = String((AUTH_ENABLED ? actor.name : req.body?.name) || "").trim();
+    const organisation = String(req.body?.organisation || "").trim();
+    const expertise = String(req.body?.expertise || "").trim();
+    const role = String((AUTH_ENABLED ? actor.role : req.body?.role) || "panel").toLowerCase().trim();
+    if (!name) return res.status(400).json({ ok: false, error: "name diperlukan" });
+    if (!PARTICIPANT_ROLES.includes(role)) return res.status(400).json({ ok: false, error: `role mesti ${PARTICIPANT_ROLES.join(" / ")}` });
+
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const s = sessions[sid];
+      s.participants = Array.isArray(s.participants) ? s.participants : [];
+
+      // daftar semula (nama + organisasi sama) -> kemas kini rekod sedia ada
+      const key = (x) => `${String(x.name).toLowerCase()}|${String(x.organisation || "").toLowerCase()}`;
+      const existing = s.participants.find((p) => key(p) === key({ name, organisation }));
+      const participant = existing || { participantId: newCardId(), registeredAt: nowISO(), lastSeenAt: null, visits: [] };
+      Object.assign(participant, { name, organisation, expertise, role });
+      if (!existing) s.participants.push(participant);
+
+      s.updatedAt = nowISO();
+      await persistSession(sid, ["session"]);
+      return { participant, created: !existing };
+    });
+
+    await recordEvent(sid, {
+      type: out.created ? "participant.registered" : "participant.updated",
+      actor,
+      target: { participantId: out.participant.participantId },
+      after: out.participant,
+    });
+    broadcast(sid, "participant:registered", { sessionId: sid, participant: out.participant });
+
+    return res.status(out.created ? 201 : 200).json({ ok: true, sessionId: sid, ...out });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-  const items = getSessionCards(sid);
-  items.push(card);
+app.get("/api/session/:sessionId/participants", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-  io.to(sid).emit("card:new", { session: sid, card });
-  return res.json({ ok: true, item: card, card });
+    const items = (s.participants || []).map((p) => ({ ...p, online: isParticipantOnline(sid, p.participantId) }));
+    return res.json({ ok: true, sessionId: sid, total: items.length, items, presence: presenceSnapshot(sid) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
 });
 
-// Debug cards
-app.get("/api/s2/cards", (req, res) => {
+app.get("/api/session/:sessionId/attendance", requireRole("facilitator"), async (req, res) => {
   try {
-    const sessionId = String(req.query?.sessionId || "").trim();
-    if (!sessionId) return res.status(400).json({ ok: false, error: "sessionId diperlukan" });
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const rows = (s.participants || []).map((p) => attendanceRow(sid, p));
+
+    if (String(req.query?.format || "").toLowerCase() === "csv") {
+      const cols = ["name", "organisation", "expertise", "role", "firstJoinedAt", "lastSeenAt", "visits", "totalMinutes"];
+      const csv = [cols.join(","), ...rows.map((r) => cols.map((c) => csvCell(r[c])).join(","))].join("\n");
+      res.setHeader("Content-Disposition", `attachment; filename="attendance-${sanitizeSessionId(sid)}.csv"`);
+      res.type("text/csv; charset=utf-8");
+      return res.send(csv);
+    }
 
-    const cards = getSessionCards(sessionId);
     return res.json({
       ok: true,
-      sessionId,
-      totalCards: cards.length,
-      sampleKeys: cards[0] ? Object.keys(cards[0]) : [],
-      cardsPreview: cards.slice(0, 20),
+      sessionId: sid,
+      total: rows.length,
+      attended: rows.filter((r) => r.visits > 0).length,
+      online: rows.filter((r) => r.online).length,
+      items: rows,
     });
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e?.message || e) });
@@ -619,123 +4223,456 @@ app.get("/api/s2/cards", (req, res) => {
 });
 
 /* ======================================================
- * 2) SESSION CONFIG (LANG)
+ * 2h) WORKSHOP PHASE (STATE MACHINE)
+ * brainstorm -> cluster -> apply -> cpc -> cp -> compare -> final
+ * GET  /api/session/:sessionId/phase  -> fasa semasa + transition yang dibenarkan (dengan semakan guard)
+ * POST /api/session/:sessionId/phase  body: { to, reason? }
+ * - maju hanya ke fasa seterusnya, dan hanya jika guard lulus
+ * - undur dibenarkan (buka semula); "brainstorm" = reopen untuk tambah kad
+ * - fasa "cp" perlukan CPC dibekukan (struktur CU/WA tidak boleh diubah lagi)
+ * Session lama tanpa s.phase -> fasa diterbitkan (deriveSessionPhase).
  * ====================================================== */
-app.get("/api/session/config/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  const s = ensureSession(sid);
-  if (!s) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+const SESSION_PHASES = ["brainstorm", "cluster", "apply", "cpc", "cp", "compare", "final"];
+
+const PHASE_TRANSITIONS = {
+  brainstorm: ["cluster"],
+  cluster: ["apply", "brainstorm"],
+  apply: ["cpc", "cluster", "brainstorm"],
+  cpc: ["cp", "apply", "brainstorm"],
+  cp: ["compare", "cpc", "brainstorm"],
+  compare: ["final", "cp"],
+  final: ["compare"],
+};
+
+// tindakan route -> fasa yang membenarkannya
+const PHASE_ACTIONS = {
+  "cards.write": {
+    label: "Tambah/ubah kad",
+    phases: ["brainstorm", "cluster"],
+    hint: "Cluster telah di-apply; buka semula session (fasa brainstorm) untuk tambah atau ubah kad",
+  },
+  "cluster.run": {
+    label: "Run cluster",
+    phases: ["brainstorm", "cluster"],
+    hint: "Buka semula session (fasa cluster atau brainstorm) untuk run cluster semula",
+  },
+  "cluster.apply": { label: "Apply cluster", phases: ["cluster", "apply"], hint: "Apply cluster hanya selepas run cluster dan sebelum CPC dibekukan" },
+  "cluster.edit": { label: "Edit cluster", phases: ["cluster", "apply"], hint: "Edit cluster hanya selepas run cluster dan sebelum CPC dibekukan" },
+  "structure.edit": {
+    label: "Ubah struktur teras/CU",
+    phases: ["brainstorm", "cluster", "apply", "cpc"],
+    hint: "CPC telah dibekukan; undur ke fasa cpc untuk ubah struktur",
+  },
+  "cp.draft": { label: "Draf / edit CP", phases: ["cp"], hint: "CPC belum dibekukan; pindah ke fasa cp dahulu" },
+  "cp.lock": { label: "Lock CP", phases: ["cp"], hint: "CPC belum dibekukan; pindah ke fasa cp dahulu" },
+  "myspike.compare": { label: "Banding MySPIKE", phases: ["cp", "compare"], hint: "Banding MySPIKE selepas CP didraf" },
+  "ratings.submit": {
+    label: "Hantar rating DIF",
+    phases: ["brainstorm", "cluster", "apply", "cpc", "cp", "compare"],
+    hint: "Session telah dimuktamadkan",
+  },
+};
 
-  return res.json({
-    ok: true,
-    sessionId: sid,
-    lang: String(s.lang || "MS").toUpperCase(),
-    langLocked: !!s.langLocked,
-    lockedAt: s.lockedAt || null,
-  });
-});
+function sessionPhase(s) {
+  if (!s) return null;
+  return s.phase || deriveSessionPhase(s, cpStore[s.sessionId]);
+}
 
-app.post("/api/session/config/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  const s = ensureSession(sid);
-  if (!s) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+/** senarai sebab transition tidak boleh dibuat ([] = lulus) */
+function phaseBlockers(s, to) {
+  const cus = Array.isArray(s.cus) ? s.cus : [];
+  const cpUnits = Object.values(cpStore[s.sessionId] || {});
+  const blockers = [];
+
+  switch (to) {
+    case "cluster": {
+      const cards = (s.cards || []).filter(isCardActive);
+      if (!cards.some(isCardLive)) blockers.push("Tiada kad untuk di-cluster");
+      const pending = cards.filter((c) => cardStatus(c) === "pending").length;
+      if (pending) blockers.push(`${pending} kad masih pending moderation`);
+      break;
+    }
+    case "apply":
+      if (!cus.length) blockers.push("Cluster belum di-apply (POST /api/cluster/apply)");
+      break;
+    case "cpc":
+    case "cp": {
+      if (!cus.length) blockers.push("Tiada CU dalam session");
+      const empty = cus.filter((cu) => !(cu.activities || []).length).map((cu) => cu.cuId);
+      if (empty.length) blockers.push(`CU tanpa aktiviti (WA): ${empty.join(", ")}`);
+      if (to === "cp" && !frozenCpcEntry(s.sessionId)) blockers.push("CPC belum dibekukan (POST /api/cpc/:sessionId/freeze)");
+      break;
+    }
+    case "compare":
+      if (!cpUnits.length) blockers.push("Tiada CP yang telah didraf");
+      break;
+    case "final": {
+      const unlocked = cpUnits.filter((b) => b?.versions?.[b.versions.length - 1]?.cp?.status !== "LOCKED").length;
+      if (!cpUnits.length) blockers.push("Tiada CP yang telah didraf");
+      if (unlocked) blockers.push(`${unlocked} CP belum di-lock`);
+      break;
+    }
+  }
+  return blockers;
+}
+
+function isForwardPhase(from, to) {
+  return SESSION_PHASES.indexOf(to) > SESSION_PHASES.indexOf(from);
+}
 
-  if (s.langLocked) {
-    return res.status(400).json({ ok: false, error: "Bahasa sudah dikunci selepas Agreed/Run Cluster." });
+/**
+ * Tukar fasa session. force = transition automatik oleh route (tanpa semak jadual / guard).
+ * -> { ok, from, to } atau { error, status, ... }
+ */
+async function changeSessionPhase(sessionId, to, { actor = SYSTEM_ACTOR, reason = "", force = false } = {}) {
+  const sid = String(sessionId || "").trim();
+  const s = await loadSession(sid);
+  if (!s) return { error: "Session tidak ditemui", status: 404 };
+  if (!SESSION_PHASES.includes(to)) {
+    return { error: `Fasa tidak sah. Pilih: ${SESSION_PHASES.join(", ")}`, status: 400 };
   }
 
-  const lang = String(req.body?.lang || "").toUpperCase().trim();
-  if (!["MS", "EN"].includes(lang)) return res.status(400).json({ ok: false, error: "lang mesti 'MS' atau 'EN'." });
+  const from = sessionPhase(s);
+  if (from === to) return { ok: true, from, to, unchanged: true };
 
-  s.lang = lang;
-  s.updatedAt = nowISO();
+  if (!force) {
+    const allowed = PHASE_TRANSITIONS[from] || [];
+    if (!allowed.includes(to)) {
+      return { error: `Transition ${from} -> ${to} tidak dibenarkan`, status: 409, phase: from, allowed };
+    }
+    const blockers = isForwardPhase(from, to) ? phaseBlockers(s, to) : [];
+    if (blockers.length) {
+      return { error: `Belum boleh ke fasa ${to}: ${blockers.join("; ")}`, status: 409, phase: from, blockers };
+    }
+  }
 
-  return res.json({
-    ok: true,
+  const before = { phase: from, phaseChangedAt: s.phaseChangedAt || null };
+  s.phase = to;
+  s.phaseChangedAt = nowISO();
+  s.updatedAt = s.phaseChangedAt;
+  await persistSession(sid, ["session"]);
+
+  const reopened = !isForwardPhase(from, to);
+  await recordEvent(sid, {
+    type: "session.phase_changed",
+    actor,
+    before,
+    after: { phase: to, phaseChangedAt: s.phaseChangedAt },
+  });
+  broadcast(sid, "phase:update", {
     sessionId: sid,
-    lang: s.lang,
-    langLocked: !!s.langLocked,
-    lockedAt: s.lockedAt || null,
+    phase: to,
+    from,
+    reopened,
+    auto: force,
+    reason: reason || null,
+    at: s.phaseChangedAt,
   });
-});
+  broadcastSessionUpdate(sid, s);
 
-app.post("/api/session/lock/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  const s = ensureSession(sid);
-  if (!s) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+  return { ok: true, from, to, reopened, phaseChangedAt: s.phaseChangedAt };
+}
 
-  s.langLocked = true;
-  s.lockedAt = nowISO();
-  s.updatedAt = s.lockedAt;
+/** transition automatik selepas tindakan (contoh run cluster: brainstorm -> cluster) */
+async function autoAdvancePhase(sessionId, from, to, actor) {
+  const s = await loadSession(sessionId);
+  if (!s || sessionPhase(s) !== from) return null;
+  return changeSessionPhase(sessionId, to, { actor, force: true });
+}
 
-  return res.json({
-    ok: true,
-    sessionId: sid,
-    lang: String(s.lang || "MS").toUpperCase(),
-    langLocked: true,
-    lockedAt: s.lockedAt,
-  });
+/**
+ * middleware route: tolak tindakan yang tidak sah untuk fasa semasa
+ * (rule dibaca semasa request — route didaftar sebelum seksyen ini dinilai)
+ */
+function requirePhase(action) {
+  return async (req, res, next) => {
+    try {
+      const rule = PHASE_ACTIONS[action];
+      if (!rule) throw new Error(`Tindakan fasa tidak dikenali: ${action}`);
+
+      const sid = requestSessionId(req);
+      const s = sid ? await loadSession(sid) : null;
+      if (!s) return next(); // route sendiri pulangkan 404 jika session tiada
+
+      const phase = sessionPhase(s);
+      if (rule.phases.includes(phase)) return next();
+      return res.status(409).json({
+        ok: false,
+        error: `${rule.label} tidak dibenarkan dalam fasa "${phase}". ${rule.hint}`,
+        phase,
+        allowedPhases: rule.phases,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  };
+}
+
+app.get("/api/session/:sessionId/phase", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const phase = sessionPhase(s);
+    const transitions = (PHASE_TRANSITIONS[phase] || []).map((to) => {
+      const blockers = isForwardPhase(phase, to) ? phaseBlockers(s, to) : [];
+      return { to, reopen: !isForwardPhase(phase, to), allowed: !blockers.length, blockers };
+    });
+    const actions = Object.fromEntries(Object.entries(PHASE_ACTIONS).map(([k, r]) => [k, r.phases.includes(phase)]));
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      phase,
+      derived: !s.phase,
+      phaseChangedAt: s.phaseChangedAt || null,
+      phases: SESSION_PHASES,
+      transitions,
+      actions,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/session/:sessionId/phase", requireRole("facilitator"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const to = String(req.body?.to || req.body?.phase || "").trim().toLowerCase();
+    if (!to) return res.status(400).json({ ok: false, error: "to (fasa sasaran) diperlukan" });
+
+    const out = await changeSessionPhase(sid, to, { actor: requestActor(req), reason: String(req.body?.reason || "").trim() });
+    if (out.error) {
+      const { error, status, ...rest } = out;
+      return res.status(status).json({ ok: false, error, ...rest });
+    }
+    return res.json({ sessionId: sid, ...out, phase: out.to });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
 });
 
 /* ======================================================
- * SESSION UNLOCK (Fasilitator sahaja)
+ * 2i) TERAS (CORE AREA)
+ * s.teras = [{ terasCode: "T01", terasTitle }]; s.cus[].terasCode = teras CU itu
+ * GET  /api/session/:sessionId/teras           -> teras + CU yang diassign
+ * PUT  /api/session/:sessionId/teras           body: { teras: [{ terasCode?, terasTitle, cuIds? }] }
+ *      (terasCode lama = kekalkan assignment CU; kod dinomborkan semula ikut susunan)
+ * POST /api/session/:sessionId/teras/assign    body: { assignments: [{ cuId, terasCode }] }
+ * POST /api/session/:sessionId/teras/propose   body: { count? } -> cadangan kumpulan (boleh terus PUT)
+ * CU tanpa teras sah -> diletak di bawah teras pertama dalam CPC.
  * ====================================================== */
-app.post("/api/session/unlock/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  const s = ensureSession(sid);
-  if (!s) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
-
-  // buka kunci
-  s.langLocked = false;
-  s.lockedAt = null;
-  s.updatedAt = nowISO();
+const TERAS_MAX = 20;
 
-  return res.json({
-    ok: true,
-    sessionId: sid,
-    lang: String(s.lang || "MS").toUpperCase(),
-    langLocked: false,
-    unlockedAt: s.updatedAt,
+function terasCodeAt(i) {
+  return `T${String(i + 1).padStart(2, "0")}`;
+}
+
+/** teras session (session lama: satu teras daripada terasTitle) */
+function sessionTeras(s) {
+  if (Array.isArray(s?.teras) && s.teras.length) return s.teras;
+  return [{ terasCode: "T01", terasTitle: s?.terasTitle || DEFAULT_TERAS_TITLE }];
+}
+
+function cuTerasCode(s, cu) {
+  const teras = sessionTeras(s);
+  return teras.some((t) => t.terasCode === cu?.terasCode) ? cu.terasCode : teras[0].terasCode;
+}
+
+/** raw (string | { terasCode?, terasTitle, cuIds? }) -> { list, error } */
+function normalizeTerasList(raw) {
+  const items = Array.isArray(raw) ? raw : [];
+  if (!items.length) return { error: "teras mesti array yang tidak kosong" };
+  if (items.length > TERAS_MAX) return { error: `Maksimum ${TERAS_MAX} teras` };
+
+  const seen = new Set();
+  const list = [];
+  for (const [i, item] of items.entries()) {
+    const terasTitle = String(typeof item === "string" ? item : item?.terasTitle || item?.title || "").trim();
+    if (!terasTitle) return { error: `teras[${i}]: terasTitle diperlukan` };
+    if (seen.has(terasTitle.toLowerCase())) return { error: `Tajuk teras berulang: ${terasTitle}` };
+    seen.add(terasTitle.toLowerCase());
+
+    list.push({
+      terasCode: terasCodeAt(i),
+      terasTitle,
+      prevCode: typeof item === "object" && item?.terasCode ? String(item.terasCode).trim() : null,
+      cuIds: typeof item === "object" && Array.isArray(item?.cuIds) ? item.cuIds.map((x) => String(x).trim()) : null,
+    });
+  }
+  return { list };
+}
+
+/**
+ * Ganti senarai teras + assignment CU.
+ * -> { error } atau { cuTeras: { [cuId]: terasCode|null } }
+ */
+function setSessionTeras(s, list) {
+  const cus = Array.isArray(s.cus) ? s.cus : [];
+  const cuIds = new Set(cus.map((cu) => cu.cuId));
+  const remap = new Map(list.filter((t) => t.prevCode).map((t) => [t.prevCode, t.terasCode]));
+  const explicit = new Map();
+
+  for (const t of list) {
+    for (const cuId of t.cuIds || []) {
+      if (!cuIds.has(cuId)) return { error: `CU tidak ditemui: ${cuId}` };
+      if (explicit.has(cuId)) return { error: `CU ${cuId} diassign kepada lebih daripada satu teras` };
+      explicit.set(cuId, t.terasCode);
+    }
+  }
+
+  s.teras = list.map(({ terasCode, terasTitle }) => ({ terasCode, terasTitle }));
+  s.terasTitle = s.teras[0].terasTitle; // compat: catalog / carian
+  cus.forEach((cu) => {
+    cu.terasCode = explicit.get(cu.cuId) || remap.get(cu.terasCode) || null;
+  });
+  return { cuTeras: Object.fromEntries(cus.map((cu) => [cu.cuId, cu.terasCode])) };
+}
+
+function terasView(s) {
+  const cus = Array.isArray(s.cus) ? s.cus : [];
+  const teras = sessionTeras(s).map((t) => ({
+    ...t,
+    cus: cus.filter((cu) => cu.terasCode === t.terasCode).map((cu) => ({ cuId: cu.cuId, cuTitle: cu.cuTitle })),
+  }));
+  const unassigned = cus.filter((cu) => !teras.some((t) => t.terasCode === cu.terasCode)).map((cu) => ({ cuId: cu.cuId, cuTitle: cu.cuTitle }));
+  return { teras, unassigned };
+}
+
+/**
+ * Cadangan kumpulan teras: average-linkage atas trigram (tajuk CU + WA).
+ * Tajuk teras = tajuk CU paling "tengah" (medoid) dalam kumpulan — boleh diedit kemudian.
+ */
+function proposeTerasGrouping(cus, { count, lang } = {}) {
+  const items = (Array.isArray(cus) ? cus : []).map((cu) => ({
+    cu,
+    p: similarityProfile([cu.cuTitle, ...(cu.activities || []).map((wa) => wa.waTitle)].join(" "), lang),
+  }));
+  if (!items.length) return [];
+
+  const n = items.length;
+  const k = Math.min(n, TERAS_MAX, Math.max(1, Math.round(Number(count) || Math.sqrt(n))));
+  const sim = items.map((a) => items.map((b) => similarityScore(a.p, b.p).score));
+
+  let groups = items.map((_, i) => [i]);
+  while (groups.length > k) {
+    let best = { score: -1, a: 0, b: 1 };
+    for (let a = 0; a < groups.length; a++) {
+      for (let b = a + 1; b < groups.length; b++) {
+        let sum = 0;
+        groups[a].forEach((i) => groups[b].forEach((j) => (sum += sim[i][j])));
+        const score = sum / (groups[a].length * groups[b].length);
+        if (score > best.score) best = { score, a, b };
+      }
+    }
+    groups[best.a] = [...groups[best.a], ...groups[best.b]].sort((x, y) => x - y);
+    groups = groups.filter((_, i) => i !== best.b);
+  }
+
+  return groups
+    .sort((x, y) => x[0] - y[0])
+    .map((g, gi) => {
+      const medoid = g.reduce((best, i) => {
+        const total = g.reduce((sum, j) => sum + (i === j ? 0 : sim[i][j]), 0);
+        return total > best.total ? { i, total } : best;
+      }, { i: g[0], total: -1 }).i;
+      return { terasCode: terasCodeAt(gi), terasTitle: items[medoid].cu.cuTitle, cuIds: g.map((i) => items[i].cu.cuId) };
+    });
+}
+
+async function saveTerasChange(req, sid, s, type, before, cuTeras) {
+  s.updatedAt = nowISO();
+  await persistSession(sid, ["session"]);
+  await recordEvent(sid, {
+    type,
+    actor: requestActor(req),
+    before,
+    after: { teras: s.teras, terasTitle: s.terasTitle, cuTeras },
   });
+  broadcast(sid, "teras:update", { sessionId: sid, teras: s.teras.length });
+}
+
+app.get("/api/session/:sessionId/teras", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+    return res.json({ ok: true, sessionId: sid, ...terasView(s) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
 });
 
-// ===============================
-// SESSION CUS (untuk ClusterPage "Reload CU (cus)")
-// ===============================
+app.put("/api/session/:sessionId/teras", requireRole("facilitator"), requirePhase("structure.edit"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const { list, error } = normalizeTerasList(req.body?.teras);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const before = { teras: sessionTeras(s), terasTitle: s.terasTitle || null, cuTeras: Object.fromEntries((s.cus || []).map((cu) => [cu.cuId, cu.terasCode || null])) };
+      const changed = setSessionTeras(s, list);
+      if (changed.error) return changed;
+      await saveTerasChange(req, sid, s, "teras.updated", before, changed.cuTeras);
+      return changed;
+    });
+    if (out.error) return res.status(400).json({ ok: false, error: out.error });
+    return res.json({ ok: true, sessionId: sid, ...terasView(s) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-// versi utama: frontend panggil /api/session/cus/:sessionId
-app.get("/api/session/cus/:sessionId", (req, res) => {
+app.post("/api/session/:sessionId/teras/assign", requireRole("facilitator"), requirePhase("structure.edit"), async (req, res) => {
   try {
     const sid = String(req.params.sessionId || "").trim();
-    const s = ensureSession(sid);
-    if (!s) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const assignments = Array.isArray(req.body?.assignments) ? req.body.assignments : [];
+    if (!assignments.length) return res.status(400).json({ ok: false, error: "assignments kosong" });
+
+    // semak + tulis dalam queue yang sama — PUT /teras serentak mungkin ubah senarai teras
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const teras = sessionTeras(s);
+      const cuById = new Map((s.cus || []).map((cu) => [cu.cuId, cu]));
+      for (const [i, a] of assignments.entries()) {
+        if (!cuById.has(String(a?.cuId || "").trim())) return { error: `assignments[${i}]: CU tidak ditemui` };
+        if (!teras.some((t) => t.terasCode === String(a?.terasCode || "").trim())) {
+          return { error: `assignments[${i}]: terasCode tidak sah` };
+        }
+      }
 
-    return res.json({
-      ok: true,
-      sessionId: sid,
-      cus: Array.isArray(s.cus) ? s.cus : [],
-      appliedAt: s.appliedAt || null,
-      updatedAt: s.updatedAt || null,
+      const before = { cuTeras: Object.fromEntries(assignments.map((a) => [a.cuId, cuById.get(a.cuId).terasCode || null])) };
+      if (!Array.isArray(s.teras) || !s.teras.length) s.teras = teras;
+      assignments.forEach((a) => (cuById.get(String(a.cuId).trim()).terasCode = String(a.terasCode).trim()));
+
+      const cuTeras = Object.fromEntries(assignments.map((a) => [String(a.cuId).trim(), String(a.terasCode).trim()]));
+      await saveTerasChange(req, sid, s, "teras.assigned", before, cuTeras);
+      return {};
     });
+    if (out.error) return res.status(400).json({ ok: false, error: out.error });
+    return res.json({ ok: true, sessionId: sid, ...terasView(s) });
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
 });
 
-// alias fallback (kalau ada code lama panggil query ?sessionId=...)
-app.get("/api/session/cus", (req, res) => {
+app.post("/api/session/:sessionId/teras/propose", requireRole("facilitator"), async (req, res) => {
   try {
-    const sid = String(req.query?.sessionId || "").trim();
-    const s = ensureSession(sid);
-    if (!s) return res.status(400).json({ ok: false, error: "sessionId tidak sah" });
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+    if (!Array.isArray(s.cus) || !s.cus.length) {
+      return res.status(400).json({ ok: false, error: "Tiada CU. Sila apply cluster dahulu." });
+    }
 
-    return res.json({
-      ok: true,
-      sessionId: sid,
-      cus: Array.isArray(s.cus) ? s.cus : [],
-      appliedAt: s.appliedAt || null,
-      updatedAt: s.updatedAt || null,
-    });
+    const teras = proposeTerasGrouping(s.cus, { count: req.body?.count, lang: s.lang });
+    return res.json({ ok: true, sessionId: sid, teras, hint: "PUT /api/session/:sessionId/teras dengan { teras } untuk guna cadangan ini" });
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
@@ -746,7 +4683,7 @@ app.get("/api/session/cus", (req, res) => {
 // POST /api/cp/ai/seed-ws
 // Body: { sessionId, cuCode, cuTitle, waList: [string|{waCode,waTitle}], wsPerWa?: number }
 // ======================================================
-app.post("/api/cp/ai/seed-ws", async (req, res) => {
+app.post("/api/cp/ai/seed-ws", requireRole("facilitator"), requirePhase("cp.draft"), async (req, res) => {
   try {
     const sessionId = String(req.body?.sessionId || "").trim();
     const cuCode = String(req.body?.cuCode || req.body?.cuId || "").trim().toLowerCase();
@@ -1163,7 +5100,7 @@ function msImperative(wsEn = "") {
  * ====================================================== */
 
 // Preview clustering (lite) – tanpa OpenAI
-app.post("/api/cluster/preview", async (req, res) => {
+app.post("/api/cluster/preview", requireRole("facilitator"), async (req, res) => {
   try {
     const sessionId = String(req.body?.sessionId || "").trim();
     const similarityThreshold = Number(req.body?.similarityThreshold ?? 0.55);
@@ -1171,7 +5108,7 @@ app.post("/api/cluster/preview", async (req, res) => {
 
     if (!sessionId) return res.status(400).json({ ok: false, error: "sessionId diperlukan" });
 
-    const cards = getSessionCards(sessionId);
+    const cards = await getSessionCards(sessionId);
     if (!cards.length) {
       return res.json({
         ok: true,
@@ -1195,23 +5132,8 @@ app.post("/api/cluster/preview", async (req, res) => {
       });
     }
 
-    function tokenize(t) {
-      return String(t)
-        .toLowerCase()
-        .replace(/[^\p{L}\p{N}\s]/gu, " ")
-        .split(/\s+/)
-        .filter(Boolean);
-    }
-    function jaccard(a, b) {
-      const A = new Set(a);
-      const B = new Set(b);
-      let inter = 0;
-      for (const x of A) if (B.has(x)) inter++;
-      const union = A.size + B.size - inter;
-      return union ? inter / union : 0;
-    }
-
-    const tokens = items.map((it) => ({ ...it, tok: tokenize(it.text) }));
+    const lang = sessions[sessionId]?.lang || "MS";
+    const tokens = items.map((it) => ({ ...it, tok: normalizeText(it.text, { lang }) }));
     const used = new Set();
     const clusters = [];
 
@@ -1258,199 +5180,1087 @@ app.post("/api/cluster/preview", async (req, res) => {
 });
 
 // Get last result
-app.get("/api/cluster/result/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  const data = clusterStore[sid];
-  if (!data) return res.status(404).json({ error: "Tiada cluster result untuk session ini" });
-  return res.json(data);
+app.get("/api/cluster/result/:sessionId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    await loadSession(sid);
+    const data = clusterStore[sid];
+    if (!data) return res.status(404).json({ error: "Tiada cluster result untuk session ini" });
+    return res.json(data);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
 });
 
 // Session summary
-app.get("/api/session/summary/:sessionId", (req, res) => {
-  const sid = String(req.params.sessionId || "").trim();
-  const items = getSessionCards(sid);
+app.get("/api/session/summary/:sessionId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-  const isAssigned = (c) => !!(c && (c.cuId || c.cuTitle || c.assignedCuId || c.cu));
-  const total = items.length;
-  const assigned = items.filter(isAssigned).length;
-  const unassigned = total - assigned;
+    const items = s.cards.filter(isCardLive);
+    const isAssigned = (c) => !!(c && (c.cuId || c.cuTitle || c.assignedCuId || c.cu));
+    const total = items.length;
+    const assigned = items.filter(isAssigned).length;
+    const unassigned = total - assigned;
 
-  return res.json({ ok: true, sessionId: sid, total, assigned, unassigned, updatedAt: nowISO() });
+    const { cards: _perCard, ...dif } = aggregateDifRatings(s);
+    return res.json({ ok: true, sessionId: sid, total, assigned, unassigned, dif, updatedAt: nowISO() });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
 });
 
-// REAL cluster RUN (OpenAI) — ikut bahasa session (MS/EN) + auto-lock
-app.post("/api/cluster/run", async (req, res) => {
+/* ------------------------------------------------------
+ * REAL cluster RUN — dikongsi oleh /api/cluster/run dan /api/cluster/run/:sessionId
+ * body: { sessionId, mode?: "auto" | "ai" | "local", clusterCount? }
+ * Output AI disemak terhadap ID kad sebenar:
+ * - ID rekaan dibuang (invented)
+ * - kad dalam lebih daripada satu cluster -> kekal dalam cluster paling serupa (duplicates)
+ * - kad yang tercicir -> prompt repair (CLUSTER_REPAIR_ROUNDS), selebihnya ke unassigned (dropped)
+ * result.coverage = laporan untuk fasilitator.
+ * ------------------------------------------------------ */
+const CLUSTER_MODEL = process.env.CLUSTER_MODEL || "gpt-4o-mini";
+const CLUSTER_REPAIR_ROUNDS = Math.max(0, Number(process.env.CLUSTER_REPAIR_ROUNDS ?? 1));
+// naikkan bila clusterPrompt / clusterRepairPrompt berubah (direkod dalam sejarah run)
+const CLUSTER_PROMPT_VERSION = "v2";
+
+function clusterLangRule(lang) {
+  return lang === "EN"
+    ? [
+        "Cluster titles MUST be in English (EN).",
+        "Even if activity text is mixed Malay/English, the cluster title MUST remain English.",
+        "Use concise titles (2–6 words).",
+      ].join("\n")
+    : [
+        "Tajuk kluster MESTI dalam Bahasa Melayu (MS).",
+        "Walaupun teks aktiviti bercampur BM/EN, tajuk kluster MESTI kekal Bahasa Melayu.",
+        "Tajuk ringkas (2–6 perkataan).",
+      ].join("\n");
+}
+
+const CLUSTER_ID_RULES = `IMPORTANT:
+- Each cardId MUST be EXACTLY one of the IDs shown in parentheses before each activity.
+- cardIds MUST be strings, do NOT invent new IDs, do NOT convert IDs to numbers.`;
+
+function clusterPrompt(cards, lang) {
+  return `
+You are a DACUM facilitator.
+Task: Cluster work activities into logical CU groups.
+
+Output must be JSON ONLY, format:
+{
+  "clusters":[{"title":"...","cardIds":["<ID>","<ID>"]}],
+  "unassigned":[]
+}
+
+${CLUSTER_ID_RULES}
+
+Rules:
+- Number of clusters: 4 to 12 (as appropriate).
+- Each cardId must appear in ONLY ONE cluster.
+- If an activity is too general/odd, put it into unassigned.
+- ${clusterLangRule(lang)}
+
+Activities:
+${cards.map((c) => `(${c.id}) ${c.activity}`).join("\n")}
+`.trim();
+}
+
+function clusterRepairPrompt(missing, clusters, lang) {
+  return `
+You are a DACUM facilitator.
+Some activities were left out of an existing clustering. Place each of them.
+
+Existing clusters:
+${clusters.map((cl) => `- ${cl.title}`).join("\n")}
+
+Output must be JSON ONLY, format:
+{
+  "clusters":[{"title":"<existing or new title>","cardIds":["<ID>"]}],
+  "unassigned":[]
+}
+
+${CLUSTER_ID_RULES}
+
+Rules:
+- Reuse an existing cluster title EXACTLY when the activity fits it; create a new cluster only if none fits.
+- Every ID below must appear exactly once (in a cluster or in unassigned).
+- ${clusterLangRule(lang)}
+
+Activities:
+${missing.map((c) => `(${c.id}) ${c.activity}`).join("\n")}
+`.trim();
+}
+
+async function askClusterAi(prompt) {
+  const out = await client.chat.completions.create({
+    model: CLUSTER_MODEL,
+    temperature: 0.2,
+    response_format: { type: "json_object" },
+    messages: [
+      { role: "system", content: "Return JSON only." },
+      { role: "user", content: prompt },
+    ],
+  });
+
+  const raw = out?.choices?.[0]?.message?.content || "{}";
   try {
-    const sid = String(req.body?.sessionId || "").trim();
-    if (!sid) return res.status(400).json({ error: "sessionId diperlukan" });
+    const parsed = JSON.parse(raw);
+    return { parsed: parsed && Array.isArray(parsed.clusters) ? parsed : null, raw };
+  } catch {
+    return { parsed: null, raw };
+  }
+}
+
+function normClusterId(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v).trim();
+  return s === "null" || s === "undefined" ? "" : s;
+}
 
-    const s = ensureSession(sid);
-    if (!s) return res.status(400).json({ error: "sessionId tidak sah" });
+/**
+ * Gabung output AI ke dalam `state` ({ clusters, unassigned, invented, duplicates }).
+ * allowedIds = ID yang boleh diterima pada pusingan ini; cluster dengan tajuk sama digabung.
+ */
+function mergeClusterOutput(state, parsed, allowedIds, profiles) {
+  const byTitle = new Map(state.clusters.map((cl) => [cl.title.toLowerCase(), cl]));
+  const owner = new Map(); // cardId -> [cluster] (pusingan ini)
+
+  for (const raw of parsed.clusters || []) {
+    const title = String(raw?.title || "").trim();
+    if (!title) continue;
+
+    let cl = byTitle.get(title.toLowerCase());
+    if (!cl) {
+      cl = { title, cardIds: [] };
+      byTitle.set(title.toLowerCase(), cl);
+      state.clusters.push(cl);
+    }
+
+    for (const id of (Array.isArray(raw?.cardIds) ? raw.cardIds : []).map(normClusterId).filter(Boolean)) {
+      if (!profiles.has(id)) {
+        if (!state.invented.includes(id)) state.invented.push(id);
+        continue;
+      }
+      if (!allowedIds.has(id)) continue;
+      const list = owner.get(id) || [];
+      if (!list.includes(cl)) owner.set(id, [...list, cl]);
+    }
+  }
 
-    // ✅ penting: tarik kad terbaru dari LiveBoard (S3) jika ada
-    await syncSessionCardsFromS3(sid);
+  // satu kad, satu cluster: pilih cluster yang ahli lainnya paling serupa
+  const similarity = (id, cl) => {
+    const peers = [...owner.entries()].filter(([other, cls]) => other !== id && cls.length === 1 && cls[0] === cl).map(([other]) => other);
+    const all = [...cl.cardIds, ...peers];
+    if (!all.length) return 0;
+    return all.reduce((sum, other) => sum + similarityScore(profiles.get(id), profiles.get(other)).score, 0) / all.length;
+  };
 
-    const items = getSessionCards(sid);
-    if (items.length < 5) return res.status(400).json({ error: "Terlalu sedikit kad untuk clustering (min 5)" });
+  for (const [id, cls] of owner) {
+    let keep = cls[0];
+    if (cls.length > 1) {
+      keep = cls.reduce((best, cl) => (similarity(id, cl) > similarity(id, best) ? cl : best), cls[0]);
+      state.duplicates.push({ cardId: id, clusters: cls.map((cl) => cl.title), keptIn: keep.title });
+    }
+    keep.cardIds.push(id);
+  }
 
-    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ error: "OPENAI_API_KEY belum diset" });
+  for (const id of (Array.isArray(parsed.unassigned) ? parsed.unassigned : []).map(normClusterId)) {
+    if (allowedIds.has(id) && !owner.has(id) && !state.unassigned.includes(id)) state.unassigned.push(id);
+  }
+}
 
-    const cards = items.map((c) => ({ id: c.id, activity: getCardText(c) })).filter((c) => c.activity);
-    const validIds = new Set(cards.map((c) => String(c.id).trim()));
+/* ------------------------------------------------------
+ * LOCAL clustering (tanpa OpenAI) — deterministik
+ * TF-IDF (token + bigram) -> cosine -> agglomerative average-linkage sehingga
+ * bilangan cluster sasaran (atau sehingga keserupaan < LOCAL_CLUSTER_MIN_SIM).
+ * Term = token ternormal (normalizeWords: stem + stopword); tajuk = kata kunci TF-IDF teratas
+ * dipaparkan dalam bentuk asal yang paling kerap muncul.
+ * ------------------------------------------------------ */
+const LOCAL_CLUSTER_MIN_SIM = Number(process.env.LOCAL_CLUSTER_MIN_SIM || 0.05);
+
+function clusterTerms(text, lang) {
+  const words = normalizeWords(text, { lang }).filter((x) => x.norm.length > 1);
+  const tok = words.map((x) => x.norm);
+  const bigrams = tok.slice(1).map((w, i) => `${tok[i]} ${w}`);
+  return { tok, words, terms: [...tok, ...bigrams] };
+}
 
-    const normId = (v) => {
-      if (v === null || v === undefined) return "";
-      const s = String(v).trim();
-      if (s === "null" || s === "undefined") return "";
-      return s;
-    };
+/** vektor TF-IDF (Map term -> berat) dinormalkan L2 */
+function tfidfVectors(termLists) {
+  const df = new Map();
+  termLists.forEach((terms) => new Set(terms).forEach((t) => df.set(t, (df.get(t) || 0) + 1)));
+  const n = termLists.length;
+
+  const idf = new Map([...df].map(([t, d]) => [t, Math.log((1 + n) / (1 + d)) + 1]));
+  const vectors = termLists.map((terms) => {
+    const tf = new Map();
+    terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    const v = new Map([...tf].map(([t, c]) => [t, c * idf.get(t)]));
+    const norm = Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0)) || 1;
+    v.forEach((w, t) => v.set(t, w / norm));
+    return v;
+  });
+  return { vectors, idf };
+}
+
+function cosineSparse(a, b) {
+  const [small, big] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((w, t) => {
+    const o = big.get(t);
+    if (o) dot += w * o;
+  });
+  return dot;
+}
+
+/**
+ * tajuk daripada kata kunci tunggal teratas (jumlah berat TF-IDF dalam cluster)
+ * surface: stem -> Map(bentuk asal -> kekerapan)
+ */
+function keywordTitle(vectors, members, lang, surface, maxWords = 3) {
+  const score = new Map();
+  members.forEach((i) =>
+    vectors[i].forEach((w, t) => {
+      if (!t.includes(" ")) score.set(t, (score.get(t) || 0) + w);
+    })
+  );
+  const display = (t) => {
+    const forms = [...(surface.get(t) || new Map([[t, 1]]))].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    return forms[0][0];
+  };
+  const words = [...score]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, maxWords)
+    .map(([t]) => display(t))
+    .map((t) => t.charAt(0).toUpperCase() + t.slice(1));
+  if (!words.length) return lang === "EN" ? "Miscellaneous" : "Pelbagai";
+  return words.length === 1 ? words[0] : `${words.slice(0, -1).join(", ")} & ${words[words.length - 1]}`;
+}
+
+function defaultClusterCount(n) {
+  return Math.min(12, Math.max(2, Math.round(Math.sqrt(n / 2) * 1.5)));
+}
+
+/**
+ * cards: [{ id, activity }] -> { clusters: [{ title, cardIds, keywords }], unassigned, engine }
+ * clusterCount = sasaran; cluster saiz < minClusterSize -> unassigned.
+ */
+function localClusterCards(cards, lang, { clusterCount, minClusterSize = 2, minSimilarity = LOCAL_CLUSTER_MIN_SIM } = {}) {
+  const usable = cards.map((c) => ({ ...c, ...clusterTerms(c.activity, lang) })).filter((c) => c.tok.length);
+  const emptyIds = cards.filter((c) => !usable.some((u) => u.id === c.id)).map((c) => c.id);
+  const n = usable.length;
+  const target = Math.min(n, Math.max(1, Math.round(Number(clusterCount) || defaultClusterCount(n))));
+
+  const { vectors } = tfidfVectors(usable.map((c) => c.terms));
+  const surface = new Map();
+  usable.forEach((c) =>
+    c.words.forEach(({ word, norm }) => {
+      if (!surface.has(norm)) surface.set(norm, new Map());
+      surface.get(norm).set(word, (surface.get(norm).get(word) || 0) + 1);
+    })
+  );
+  const sim = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 1 : cosineSparse(a, b))));
+
+  // average-linkage: sim(a∪b, k) = (|a|·sim(a,k) + |b|·sim(b,k)) / (|a|+|b|)
+  let groups = usable.map((_, i) => ({ members: [i], first: i }));
+  const link = sim.map((row) => [...row]);
+  while (groups.length > target) {
+    let best = { score: -1, a: -1, b: -1 };
+    for (let a = 0; a < groups.length; a++) {
+      for (let b = a + 1; b < groups.length; b++) {
+        const score = link[groups[a].first][groups[b].first];
+        if (score > best.score) best = { score, a, b };
+      }
+    }
+    if (best.score < minSimilarity) break;
+
+    const A = groups[best.a];
+    const B = groups[best.b];
+    groups.forEach((g) => {
+      if (g === A || g === B) return;
+      const merged = (A.members.length * link[A.first][g.first] + B.members.length * link[B.first][g.first]) / (A.members.length + B.members.length);
+      link[A.first][g.first] = merged;
+      link[g.first][A.first] = merged;
+    });
+    A.members = [...A.members, ...B.members].sort((x, y) => x - y);
+    groups = groups.filter((g) => g !== B);
+  }
+
+  const clusters = [];
+  const unassigned = [...emptyIds];
+  groups
+    .sort((x, y) => x.first - y.first)
+    .forEach((g) => {
+      if (g.members.length < minClusterSize) return unassigned.push(...g.members.map((i) => usable[i].id));
+      const title = keywordTitle(vectors, g.members, lang, surface);
+      clusters.push({ title, cardIds: g.members.map((i) => usable[i].id) });
+    });
+
+  // tajuk berulang -> tambah nombor
+  const seen = new Map();
+  clusters.forEach((cl) => {
+    const k = cl.title.toLowerCase();
+    seen.set(k, (seen.get(k) || 0) + 1);
+    if (seen.get(k) > 1) cl.title = `${cl.title} (${seen.get(k)})`;
+  });
+
+  return { clusters, unassigned, engine: { targetClusters: target, minClusterSize, minSimilarity } };
+}
+
+/** AI + semakan/repair -> { error?, clusters, unassigned, report } */
+async function aiClusterCards(cards, lang) {
+  const profiles = new Map(cards.map((c) => [c.id, similarityProfile(c.activity, lang)]));
+
+  const first = await askClusterAi(clusterPrompt(cards, lang));
+  if (!first.parsed) return { error: "Output AI tidak sah", raw: first.raw };
+
+  const state = { clusters: [], unassigned: [], invented: [], duplicates: [] };
+  mergeClusterOutput(state, first.parsed, new Set(profiles.keys()), profiles);
 
-    const sanitizeIds = (arr) =>
-      (Array.isArray(arr) ? arr : [])
-        .map(normId)
-        .filter((id) => id && validIds.has(id));
+  const placed = () => new Set([...state.clusters.flatMap((cl) => cl.cardIds), ...state.unassigned]);
+  const dropped = cards.filter((c) => !placed().has(c.id)).map((c) => c.id);
 
-    const lang = String(s.lang || "MS").toUpperCase(); // "MS" | "EN"
+  let repairRounds = 0;
+  for (let round = 0; round < CLUSTER_REPAIR_ROUNDS; round++) {
+    const missing = cards.filter((c) => !placed().has(c.id));
+    if (!missing.length) break;
 
-    // Auto-lock bila run cluster
-    if (!s.langLocked) {
+    repairRounds++;
+    const fix = await askClusterAi(clusterRepairPrompt(missing, state.clusters, lang));
+    if (fix.parsed) mergeClusterOutput(state, fix.parsed, new Set(missing.map((c) => c.id)), profiles);
+  }
+
+  // masih tercicir selepas repair -> unassigned
+  const stillMissing = cards.filter((c) => !placed().has(c.id)).map((c) => c.id);
+  state.unassigned.push(...stillMissing);
+
+  return {
+    clusters: state.clusters,
+    unassigned: state.unassigned,
+    report: {
+      dropped,
+      repaired: dropped.filter((id) => !stillMissing.includes(id)),
+      repairRounds,
+      invented: state.invented,
+      duplicates: state.duplicates,
+    },
+  };
+}
+
+const CLUSTER_MODES = ["auto", "ai", "local"];
+
+/**
+ * opts.mode: "ai" | "local" | "auto" (default: AI jika OPENAI_API_KEY ada, jika gagal -> local)
+ * opts.clusterCount: sasaran bilangan cluster (mode local)
+ * -> { status, body } (body sama seperti response route lama + mode + coverage)
+ */
+async function runSessionCluster(sid, req, { mode = "auto", clusterCount } = {}) {
+  if (!CLUSTER_MODES.includes(mode)) return { status: 400, body: { error: `mode mesti salah satu: ${CLUSTER_MODES.join(", ")}` } };
+
+  const s = await loadSession(sid);
+  if (!s) return { status: 404, body: { error: "Session tidak ditemui" } };
+
+  const items = await getSessionCards(sid);
+  if (items.length < 5) return { status: 400, body: { error: "Terlalu sedikit kad untuk clustering (min 5)" } };
+
+  if (mode === "ai" && !process.env.OPENAI_API_KEY) return { status: 500, body: { error: "OPENAI_API_KEY belum diset" } };
+
+  const cards = items.map((c) => ({ id: String(c.id).trim(), activity: getCardText(c) })).filter((c) => c.activity);
+  const lang = String(s.lang || "MS").toUpperCase(); // "MS" | "EN"
+
+  let used = mode === "auto" ? (process.env.OPENAI_API_KEY ? "ai" : "local") : mode;
+  let fallbackReason = mode === "auto" && used === "local" ? "OPENAI_API_KEY belum diset" : null;
+  let out = null;
+
+  if (used === "ai") {
+    try {
+      out = await aiClusterCards(cards, lang);
+    } catch (e) {
+      if (mode === "ai") throw e;
+      fallbackReason = `AI gagal: ${String(e?.message || e)}`;
+    }
+    if (out?.error) {
+      if (mode === "ai") return { status: 500, body: { error: out.error, raw: out.raw } };
+      fallbackReason = out.error;
+      out = null;
+    }
+    if (!out) used = "local";
+  }
+  if (used === "local") out = localClusterCards(cards, lang, { clusterCount });
+
+  const order = new Map(cards.map((c, i) => [c.id, i]));
+  const clusters = out.clusters
+    .filter((cl) => cl.title && cl.cardIds.length)
+    .map((cl, i) => ({ clusterId: `C${i + 1}`, ...cl, cardIds: [...cl.cardIds].sort((x, y) => order.get(x) - order.get(y)) }));
+  const assigned = clusters.reduce((n, cl) => n + cl.cardIds.length, 0);
+
+  // simpan dalam queue session: runId unik dan edit / apply serentak tidak ditindih
+  const actor = requestActor(req);
+  const result = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+    // Auto-lock bila run cluster (hanya selepas output sah)
+    const autoLocked = !s.langLocked;
+    if (autoLocked) {
       s.langLocked = true;
       s.lockedAt = nowISO();
       s.updatedAt = s.lockedAt;
     }
 
-    const langRule =
-      lang === "EN"
-        ? [
-            "Cluster titles MUST be in English (EN).",
-            "Even if activity text is mixed Malay/English, the cluster title MUST remain English.",
-            "Use concise titles (2–6 words).",
-          ].join("\n")
-        : [
-            "Tajuk kluster MESTI dalam Bahasa Melayu (MS).",
-            "Walaupun teks aktiviti bercampur BM/EN, tajuk kluster MESTI kekal Bahasa Melayu.",
-            "Tajuk ringkas (2–6 perkataan).",
-          ].join("\n");
-
-    const prompt = `
-You are a DACUM facilitator.
-Task: Cluster work activities into logical CU groups.
+    const runId = nextClusterRunId(sid);
+    const run = {
+      ok: true,
+      sessionId: sid,
+      runId,
+      lang,
+      langLocked: !!s.langLocked,
+      lockedAt: s.lockedAt || null,
+      generatedAt: nowISO(),
+      mode: used,
+      requestedMode: mode,
+      fallbackReason,
+      clusters,
+      unassigned: out.unassigned,
+      coverage: {
+        totalCards: cards.length,
+        assigned,
+        unassigned: out.unassigned.length,
+        coverage: cards.length ? Number((assigned / cards.length).toFixed(3)) : 0,
+        dropped: [],
+        repaired: [],
+        repairRounds: 0,
+        invented: [],
+        duplicates: [],
+        ...(out.report || {}),
+      },
+      ...(out.engine ? { engine: out.engine } : {}),
+    };
 
-Output must be JSON ONLY, format:
-{
-  "clusters":[{"title":"...","cardIds":["<ID>","<ID>"]}],
-  "unassigned":[]
+    const beforeCluster = clusterStore[sid] || null;
+    clusterStore[sid] = run;
+    pushClusterRun(sid, run, {
+      ranBy: actor.name,
+      params: {
+        mode: used,
+        requestedMode: mode,
+        lang,
+        model: used === "ai" ? CLUSTER_MODEL : null,
+        promptVersion: used === "ai" ? CLUSTER_PROMPT_VERSION : null,
+        repairRounds: used === "ai" ? CLUSTER_REPAIR_ROUNDS : null,
+        clusterCount: clusterCount ?? null,
+        engine: out.engine || null,
+        cards: cards.length,
+      },
+    });
+    await persistSession(sid, ["cluster", "clusterRuns", "session"]);
+
+    if (autoLocked) {
+      await recordEvent(sid, {
+        type: "session.locked",
+        actor,
+        target: { reason: "cluster.run" },
+        before: { langLocked: false, lockedAt: null },
+        after: pickFields(s, ["langLocked", "lockedAt"]),
+      });
+    }
+    await recordEvent(sid, { type: "cluster.run", actor, target: { runId, previousRunId: beforeCluster?.runId || null }, after: run });
+    return run;
+  });
+  broadcast(sid, "cluster:update", { sessionId: sid, generatedAt: result.generatedAt, clusters: result.clusters.length });
+  await autoAdvancePhase(sid, "brainstorm", "cluster", actor);
+  return { status: 200, body: result };
 }
 
-IMPORTANT:
-- Each cardId MUST be EXACTLY one of the IDs shown in parentheses before each activity.
-- cardIds MUST be strings, do NOT invent new IDs, do NOT convert IDs to numbers.
+app.post("/api/cluster/run", requireRole("facilitator"), requirePhase("cluster.run"), async (req, res) => {
+  try {
+    const sid = String(req.body?.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ error: "sessionId diperlukan" });
 
-Rules:
-- Number of clusters: 4 to 12 (as appropriate).
-- Each cardId must appear in ONLY ONE cluster.
-- If an activity is too general/odd, put it into unassigned.
-- ${langRule}
+    const out = await runSessionCluster(sid, req, {
+      mode: String(req.body?.mode || req.query?.mode || "auto").trim().toLowerCase(),
+      clusterCount: req.body?.clusterCount,
+    });
+    return res.status(out.status).json(out.body);
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "AI cluster run error" });
+  }
+});
+
+/**
+ * Apply AI Cluster result -> simpan sebagai CU/WA dalam session (cus[])
+ * POST /api/cluster/apply
+ * Body: { sessionId: "...", proposeTeras?: true | <bilangan teras>, applyTeras?: boolean }
+ * - CU dengan tajuk sama seperti apply sebelum ini kekal dalam teras asal
+ * - proposeTeras -> terasProposal dalam response; applyTeras -> terus guna cadangan itu
+ */
+app.post("/api/cluster/apply", requireRole("facilitator"), requirePhase("cluster.apply"), async (req, res) => {
+  try {
+    const sid = String(req.body?.sessionId || "").trim();
+    if (!sid) return res.status(400).json({ ok: false, error: "sessionId diperlukan" });
+
+    if (!(await loadSession(sid))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+    // apply ikut result semasa — dalam queue session supaya run / edit serentak tidak bertindih
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const last = clusterStore[sid];
+      const before = sessions[sid] ? pickFields(sessions[sid], ["cus", "appliedAt"]) : null;
+      if (!last || !Array.isArray(last.clusters) || !last.clusters.length) {
+        return { error: "Tiada cluster result. Sila run /api/cluster/run dahulu." };
+      }
+
+      const sess = sessions[sid];
+      const cards = await getSessionCards(sid);
+      const byId = new Map(cards.map((c) => [String(c.id), c]));
+      const prevTeras = new Map((sess.cus || []).map((cu) => [String(cu.cuTitle || "").trim().toLowerCase(), cu.terasCode || null]));
+
+      const cus = last.clusters.map((cl, i) => {
+        const cuId = `CU-${String(i + 1).padStart(2, "0")}`;
+        const cuTitle = String(cl?.title || `CU ${i + 1}`).trim();
+
+        const cardIds = Array.isArray(cl?.cardIds) ? cl.cardIds : [];
+        const activities = cardIds.map((id, j) => {
+          const card = byId.get(String(id));
+          const waTitle = (card && getCardText(card)) || `Aktiviti ${j + 1}`;
+          return { waId: `WA-${String(j + 1).padStart(2, "0")}`, waTitle, cardIds: [id] };
+        });
+
+        return { cuId, cuTitle, activities, terasCode: prevTeras.get(cuTitle.toLowerCase()) || null };
+      });
+
+      const wantTeras = req.body?.proposeTeras || req.body?.applyTeras;
+      const terasProposal = wantTeras
+        ? proposeTerasGrouping(cus, {
+            count: typeof req.body?.proposeTeras === "number" ? req.body.proposeTeras : undefined,
+            lang: sess.lang,
+          })
+        : null;
+
+      sess.cus = cus;
+      if (terasProposal && req.body?.applyTeras) setSessionTeras(sess, terasProposal.map((t) => ({ ...t, prevCode: null })));
+      sess.appliedAt = nowISO();
+      sess.updatedAt = nowISO();
+
+      // tag cards supaya summary assigned jadi betul
+      const cuByCardId = new Map();
+      cus.forEach((cu) => cu.activities.forEach((wa) => (wa.cardIds || []).forEach((cid) => cuByCardId.set(String(cid), cu.cuTitle))));
+      cards.forEach((c) => {
+        const t = cuByCardId.get(String(c.id));
+        if (t) c.cuTitle = t;
+      });
+      await persistSession(sid, ["session"]);
+      await recordEvent(sid, {
+        type: "cluster.applied",
+        actor: requestActor(req),
+        before,
+        after: {
+          cus,
+          appliedAt: sess.appliedAt,
+          cardTags: Object.fromEntries(cuByCardId),
+          ...(req.body?.applyTeras ? pickFields(sess, ["teras", "terasTitle"]) : {}),
+        },
+      });
+      return { sess, cus, terasProposal };
+    });
+    if (out.error) return res.status(400).json({ ok: false, error: out.error });
+    const { sess, cus, terasProposal } = out;
+
+    broadcast(sid, "cluster:applied", { sessionId: sid, cusCount: cus.length, appliedAt: sess.appliedAt });
+    await autoAdvancePhase(sid, "cluster", "apply", requestActor(req));
+
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      cusCount: cus.length,
+      appliedAt: sess.appliedAt,
+      sampleCu: cus[0] || null,
+      ...(terasProposal ? { terasProposal, terasApplied: !!req.body?.applyTeras } : {}),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/* ------------------------------------------------------
+ * Edit manual cluster result (antara run dan apply)
+ * POST /api/cluster/result/:sessionId/move    body: { cardIds: [...], toClusterId?: "C2", newTitle? }
+ *      toClusterId tiada/null -> unassigned; newTitle -> cluster baru
+ * POST /api/cluster/result/:sessionId/rename  body: { clusterId, title }
+ * POST /api/cluster/result/:sessionId/split   body: { clusterId, cardIds: [...], title } -> cardIds ke cluster baru
+ * POST /api/cluster/result/:sessionId/merge   body: { clusterIds: ["C1", "C3"], title? } -> gabung ke cluster pertama
+ * Selepas setiap edit: setiap kad live berada dalam tepat satu cluster atau unassigned
+ * (kad baru selepas run -> unassigned, kad dipadam -> dibuang), cluster kosong dibuang.
+ * ------------------------------------------------------ */
+const CLUSTER_TITLE_MAX = 120;
+
+function cleanIdList(v) {
+  return [...new Set((Array.isArray(v) ? v : []).map((x) => String(x ?? "").trim()).filter(Boolean))];
+}
+
+/** id cluster baru; clusterSeq dalam result supaya id cluster yang dibuang tidak diguna semula */
+function nextClusterId(draft) {
+  draft.clusterSeq = (draft.clusterSeq || 0) + 1;
+  return `C${draft.clusterSeq}`;
+}
+
+/** salinan boleh-ubah; result lama (sebelum clusterId) diberi id C1.. */
+function cloneClusterResult(result) {
+  const draft = { ...result, clusters: [], unassigned: cleanIdList(result.unassigned) };
+  const given = (result.clusters || []).map((cl) => cl.clusterId).filter(Boolean);
+  draft.clusterSeq = Math.max(Number(result.clusterSeq) || 0, ...given.map((id) => Number(String(id).replace(/^C/i, "")) || 0));
+  (result.clusters || []).forEach((cl) => {
+    const clusterId = cl.clusterId && !draft.clusters.some((x) => x.clusterId === cl.clusterId) ? cl.clusterId : nextClusterId(draft);
+    draft.clusters.push({ ...cl, clusterId, cardIds: cleanIdList(cl.cardIds) });
+  });
+  return draft;
+}
+
+function clusterTitleError(draft, title, exceptId = null) {
+  if (!title) return "title diperlukan";
+  if (title.length > CLUSTER_TITLE_MAX) return `title melebihi ${CLUSTER_TITLE_MAX} aksara`;
+  const clash = draft.clusters.find((cl) => cl.clusterId !== exceptId && String(cl.title || "").trim().toLowerCase() === title.toLowerCase());
+  return clash ? `title sama dengan cluster ${clash.clusterId}` : null;
+}
+
+function findCluster(draft, clusterId) {
+  return draft.clusters.find((cl) => cl.clusterId === String(clusterId ?? "").trim()) || null;
+}
+
+function takeCards(draft, ids) {
+  const take = new Set(ids);
+  draft.clusters.forEach((cl) => (cl.cardIds = cl.cardIds.filter((id) => !take.has(id))));
+  draft.unassigned = draft.unassigned.filter((id) => !take.has(id));
+}
+
+// setiap op: (draft, body, liveIds) -> { error } | { detail } ; ubah draft terus
+const CLUSTER_EDIT_OPS = {
+  move(draft, body, liveIds) {
+    const cardIds = cleanIdList(body.cardIds);
+    if (!cardIds.length) return { error: "cardIds kosong" };
+    const unknown = cardIds.filter((id) => !liveIds.has(id));
+    if (unknown.length) return { error: `Kad tidak ditemui: ${unknown.join(", ")}` };
+
+    const newTitle = String(body.newTitle || "").trim();
+    let target = null;
+    if (newTitle) {
+      const error = clusterTitleError(draft, newTitle);
+      if (error) return { error };
+      target = { clusterId: nextClusterId(draft), title: newTitle, cardIds: [] };
+    } else if (body.toClusterId) {
+      target = findCluster(draft, body.toClusterId);
+      if (!target) return { error: "toClusterId tidak ditemui" };
+    }
+
+    takeCards(draft, cardIds);
+    if (!target) draft.unassigned.push(...cardIds);
+    else {
+      target.cardIds.push(...cardIds);
+      if (newTitle) draft.clusters.push(target);
+    }
+    return { detail: { cardIds, toClusterId: target?.clusterId || null } };
+  },
+
+  rename(draft, body) {
+    const cl = findCluster(draft, body.clusterId);
+    if (!cl) return { error: "clusterId tidak ditemui" };
+    const title = String(body.title || "").trim();
+    const error = clusterTitleError(draft, title, cl.clusterId);
+    if (error) return { error };
+
+    const from = cl.title;
+    cl.title = title;
+    return { detail: { clusterId: cl.clusterId, from, to: title } };
+  },
+
+  split(draft, body) {
+    const cl = findCluster(draft, body.clusterId);
+    if (!cl) return { error: "clusterId tidak ditemui" };
+    const cardIds = cleanIdList(body.cardIds);
+    if (!cardIds.length) return { error: "cardIds kosong" };
+    const outside = cardIds.filter((id) => !cl.cardIds.includes(id));
+    if (outside.length) return { error: `Kad bukan dalam ${cl.clusterId}: ${outside.join(", ")}` };
+    if (cardIds.length === cl.cardIds.length) return { error: "Split perlu tinggalkan sekurang-kurangnya satu kad dalam cluster asal" };
+    const title = String(body.title || "").trim();
+    const error = clusterTitleError(draft, title);
+    if (error) return { error };
+
+    const created = { clusterId: nextClusterId(draft), title, cardIds };
+    cl.cardIds = cl.cardIds.filter((id) => !cardIds.includes(id));
+    draft.clusters.splice(draft.clusters.indexOf(cl) + 1, 0, created);
+    return { detail: { clusterId: cl.clusterId, newClusterId: created.clusterId, cardIds } };
+  },
+
+  merge(draft, body) {
+    const ids = cleanIdList(body.clusterIds);
+    if (ids.length < 2) return { error: "clusterIds perlu sekurang-kurangnya 2 cluster" };
+    const picked = ids.map((id) => findCluster(draft, id));
+    if (picked.some((cl) => !cl)) return { error: "clusterIds mengandungi cluster yang tidak ditemui" };
+
+    const [into, ...rest] = picked;
+    const title = String(body.title || "").trim() || into.title;
+    const error = clusterTitleError({ clusters: draft.clusters.filter((cl) => !picked.includes(cl)) }, title);
+    if (error) return { error };
+
+    into.title = title;
+    into.cardIds = [...new Set(picked.flatMap((cl) => cl.cardIds))];
+    if (Array.isArray(into.keywords)) into.keywords = [...new Set(picked.flatMap((cl) => cl.keywords || []))];
+    draft.clusters = draft.clusters.filter((cl) => !rest.includes(cl));
+    return { detail: { clusterId: into.clusterId, merged: rest.map((cl) => cl.clusterId), title } };
+  },
+};
+
+/** pastikan setiap kad live dalam tepat satu tempat; kira semula coverage */
+function finalizeClusterEdit(draft, liveIds) {
+  const seen = new Set();
+  const keep = (id) => liveIds.has(id) && !seen.has(id) && seen.add(id);
+  draft.clusters.forEach((cl) => (cl.cardIds = cl.cardIds.filter(keep)));
+  const removed = draft.clusters.filter((cl) => !cl.cardIds.length).map((cl) => cl.clusterId);
+  draft.clusters = draft.clusters.filter((cl) => cl.cardIds.length);
+  draft.unassigned = draft.unassigned.filter(keep);
+  liveIds.forEach((id) => keep(id) && draft.unassigned.push(id));
+
+  const assigned = draft.clusters.reduce((n, cl) => n + cl.cardIds.length, 0);
+  const total = assigned + draft.unassigned.length;
+  draft.coverage = {
+    ...(draft.coverage || {}),
+    totalCards: total,
+    assigned,
+    unassigned: draft.unassigned.length,
+    coverage: total ? Number((assigned / total).toFixed(3)) : 0,
+  };
+  return { removed };
+}
+
+function clusterEditRoute(op) {
+  return async (req, res) => {
+    try {
+      const sid = String(req.params.sessionId || "").trim();
+      const s = await loadSession(sid);
+      if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+      const actor = requestActor(req);
+      // clone -> op -> simpan dalam queue session supaya dua edit serentak tidak saling tindih
+      const out = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+        const current = clusterStore[sid];
+        if (!current || !Array.isArray(current.clusters)) return { error: "Tiada cluster result. Sila run /api/cluster/run dahulu." };
+
+        const liveIds = new Set((await getSessionCards(sid)).map((c) => String(c.id)));
+        const draft = cloneClusterResult(current);
+        const edit = CLUSTER_EDIT_OPS[op](draft, req.body || {}, liveIds);
+        if (edit.error) return edit;
+        const { removed } = finalizeClusterEdit(draft, liveIds);
+
+        draft.editedAt = nowISO();
+        draft.editedBy = actor.name;
+        draft.edits = (Number(current.edits) || 0) + 1;
+        clusterStore[sid] = draft;
+        syncClusterRun(sid, draft);
+        await persistSession(sid, ["cluster", "clusterRuns"]);
+        await recordEvent(sid, { type: "cluster.edited", actor, target: { op, ...edit.detail }, after: draft });
+        return { ...edit, draft, removed };
+      });
+      if (out.error) return res.status(400).json({ ok: false, error: out.error });
+      const { draft, removed } = out;
+
+      broadcast(sid, "cluster:update", {
+        sessionId: sid,
+        generatedAt: draft.generatedAt,
+        clusters: draft.clusters.length,
+        op,
+        editedAt: draft.editedAt,
+      });
+
+      return res.json({ ok: true, sessionId: sid, op, ...out.detail, removedClusters: removed, result: draft });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  };
+}
+
+app.post("/api/cluster/result/:sessionId/move", requireRole("facilitator"), requirePhase("cluster.edit"), clusterEditRoute("move"));
+app.post("/api/cluster/result/:sessionId/rename", requireRole("facilitator"), requirePhase("cluster.edit"), clusterEditRoute("rename"));
+app.post("/api/cluster/result/:sessionId/split", requireRole("facilitator"), requirePhase("cluster.edit"), clusterEditRoute("split"));
+app.post("/api/cluster/result/:sessionId/merge", requireRole("facilitator"), requirePhase("cluster.edit"), clusterEditRoute("merge"));
+
+/* ------------------------------------------------------
+ * Sejarah run cluster
+ * clusterRunStore[sid] = { runs: [{ runId, ranAt, ranBy, params, result, editedResult? }] } — run semasa = clusterStore[sid].runId
+ * params = { mode, requestedMode, lang, model, promptVersion, repairRounds, clusterCount, engine, cards }
+ * result = output asal run (tidak berubah); edit manual disimpan sebagai editedResult (keadaan terakhir selepas edit).
+ * Versi run: original | edited | latest (edited jika ada, jika tidak original)
+ * GET  /api/cluster/runs/:sessionId
+ * GET  /api/cluster/runs/:sessionId/diff?from=r1[:original|:edited]&to=r2[:versi]|current
+ * GET  /api/cluster/runs/:sessionId/:runId
+ * POST /api/cluster/runs/:sessionId/:runId/restore  ?version=latest|original|edited -> jadikan versi itu cluster result semasa
+ * ------------------------------------------------------ */
+const CLUSTER_RUN_KEEP = Math.max(1, Number(process.env.CLUSTER_RUN_KEEP || 20));
+
+function nextClusterRunId(sid) {
+  const runs = clusterRunStore[sid]?.runs || [];
+  const last = runs[runs.length - 1]?.runId || "r0";
+  return `r${(Number(String(last).replace(/^r/i, "")) || 0) + 1}`;
+}
+
+function pushClusterRun(sid, result, { ranBy, params }) {
+  if (!clusterRunStore[sid]) clusterRunStore[sid] = { runs: [] };
+  const bucket = clusterRunStore[sid];
+  bucket.runs.push({ runId: result.runId, ranAt: result.generatedAt, ranBy, params, result });
+  bucket.runs = bucket.runs.slice(-CLUSTER_RUN_KEEP);
+}
+
+/** simpan result yang diedit sebagai editedResult run asalnya (result asal kekal) */
+function syncClusterRun(sid, result) {
+  const entry = (clusterRunStore[sid]?.runs || []).find((r) => r.runId === result.runId);
+  if (entry) entry.editedResult = result;
+}
 
-Activities:
-${cards.map((c) => `(${c.id}) ${c.activity}`).join("\n")}
-`.trim();
+const CLUSTER_RUN_VERSIONS = ["latest", "original", "edited"];
 
-    const out = await client.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0.2,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: "Return JSON only." },
-        { role: "user", content: prompt },
-      ],
-    });
+/** result satu run ikut versi; null jika versi edited belum wujud */
+function clusterRunResult(entry, version = "latest") {
+  if (version === "original") return entry.result;
+  if (version === "edited") return entry.editedResult || null;
+  return entry.editedResult || entry.result;
+}
 
-    const raw = out?.choices?.[0]?.message?.content || "{}";
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      parsed = null;
-    }
+function clusterRunSummary(entry, currentRunId) {
+  const r = clusterRunResult(entry) || {};
+  return {
+    runId: entry.runId,
+    ranAt: entry.ranAt,
+    ranBy: entry.ranBy,
+    params: entry.params,
+    clusters: (r.clusters || []).length,
+    coverage: r.coverage?.coverage ?? null,
+    unassigned: (r.unassigned || []).length,
+    edits: r.edits || 0,
+    editedAt: r.editedAt || null,
+    edited: !!entry.editedResult,
+    current: entry.runId === currentRunId,
+  };
+}
 
-    if (!parsed || !Array.isArray(parsed.clusters)) {
-      return res.status(500).json({ error: "Output AI tidak sah", raw });
+/**
+ * Banding dua cluster result (ikut ahli kad, bukan clusterId — id antara run tidak sepadan).
+ * Padanan: cluster A dan B "sepadan" jika masing-masing destinasi/sumber utama yang lain.
+ * - renamed: pasangan sepadan dengan tajuk berbeza
+ * - split:   ≥2 cluster B yang sumber utamanya cluster A yang sama
+ * - merged:  ≥2 cluster A yang destinasi utamanya cluster B yang sama
+ * - moved:   kad yang cluster barunya bukan pasangan cluster asalnya (termasuk ke/dari unassigned)
+ */
+function diffClusterResults(a, b, cardText = () => "") {
+  const ref = (cl) => (cl ? { clusterId: cl.clusterId || null, title: cl.title } : null);
+  const ownerOf = (res) => {
+    const m = new Map();
+    (res.clusters || []).forEach((cl) => (cl.cardIds || []).forEach((id) => m.set(String(id), cl)));
+    return m;
+  };
+  const placed = (res) => new Set([...(res.clusters || []).flatMap((cl) => cl.cardIds || []), ...(res.unassigned || [])].map(String));
+  const ownA = ownerOf(a);
+  const ownB = ownerOf(b);
+  const inA = placed(a);
+  const inB = placed(b);
+
+  // kiraan bertindih A x B -> destinasi / sumber utama
+  const dominant = (from, own) => {
+    const m = new Map();
+    from.forEach((cl) => {
+      const counts = new Map();
+      (cl.cardIds || []).forEach((id) => {
+        const other = own.get(String(id));
+        if (other) counts.set(other, (counts.get(other) || 0) + 1);
+      });
+      const best = [...counts.entries()].sort((x, y) => y[1] - x[1])[0];
+      if (best) m.set(cl, best[0]);
+    });
+    return m;
+  };
+  const clustersA = a.clusters || [];
+  const clustersB = b.clusters || [];
+  const domA = dominant(clustersA, ownB);
+  const domB = dominant(clustersB, ownA);
+  const partner = new Map(clustersA.filter((cl) => domB.get(domA.get(cl)) === cl).map((cl) => [cl, domA.get(cl)]));
+
+  const renamed = [...partner.entries()]
+    .filter(([x, y]) => String(x.title || "").trim().toLowerCase() !== String(y.title || "").trim().toLowerCase())
+    .map(([x, y]) => ({ from: ref(x), to: ref(y) }));
+
+  const split = clustersA
+    .map((cl) => ({ cl, into: clustersB.filter((y) => domB.get(y) === cl) }))
+    .filter((x) => x.into.length >= 2)
+    .map((x) => ({ from: ref(x.cl), into: x.into.map(ref) }));
+  const merged = clustersB
+    .map((cl) => ({ cl, from: clustersA.filter((x) => domA.get(x) === cl) }))
+    .filter((x) => x.from.length >= 2)
+    .map((x) => ({ from: x.from.map(ref), into: ref(x.cl) }));
+  const splitInto = new Set(split.flatMap((x) => x.into.map((r) => r.clusterId)));
+  const mergedInto = new Set(merged.map((x) => x.into.clusterId));
+
+  const moved = [];
+  let unchanged = 0;
+  [...inA].filter((id) => inB.has(id)).forEach((id) => {
+    const from = ownA.get(id) || null;
+    const to = ownB.get(id) || null;
+    if ((from && partner.get(from) === to) || (!from && !to)) {
+      unchanged++;
+      return;
     }
+    let via = null;
+    if (to && splitInto.has(to.clusterId) && domB.get(to) === from) via = "split";
+    else if (from && to && mergedInto.has(to.clusterId) && domA.get(from) === to) via = "merge";
+    moved.push({ cardId: id, activity: cardText(id), from: ref(from), to: ref(to), via });
+  });
+
+  // tiada kad bersama langsung
+  const addedClusters = clustersB.filter((y) => !domB.has(y)).map(ref);
+  const removedClusters = clustersA.filter((x) => !domA.has(x)).map(ref);
+  const addedCards = [...inB].filter((id) => !inA.has(id));
+  const removedCards = [...inA].filter((id) => !inB.has(id));
 
-    const clusters = parsed.clusters
-      .map((cl) => ({
-        title: String(cl?.title || "").trim(),
-        cardIds: Array.isArray(cl?.cardIds) ? cl.cardIds : [],
-      }))
-      .filter((cl) => cl.title && cl.cardIds.length);
+  return {
+    summary: {
+      moved: moved.length,
+      unchanged,
+      renamed: renamed.length,
+      split: split.length,
+      merged: merged.length,
+      addedClusters: addedClusters.length,
+      removedClusters: removedClusters.length,
+      addedCards: addedCards.length,
+      removedCards: removedCards.length,
+    },
+    moved,
+    renamed,
+    split,
+    merged,
+    addedClusters,
+    removedClusters,
+    addedCards,
+    removedCards,
+  };
+}
 
-    const unassigned = Array.isArray(parsed.unassigned) ? parsed.unassigned : [];
+app.get("/api/cluster/runs/:sessionId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-    const result = {
+    const bucket = clusterRunStore[sid] || { runs: [] };
+    return res.json({
       ok: true,
       sessionId: sid,
-      lang,
-      langLocked: !!s.langLocked,
-      lockedAt: s.lockedAt || null,
-      generatedAt: nowISO(),
-      clusters,
-      unassigned,
+      currentRunId: clusterStore[sid]?.runId || null,
+      total: bucket.runs.length,
+      items: bucket.runs.map((r) => clusterRunSummary(r, clusterStore[sid]?.runId)).reverse(),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/cluster/runs/:sessionId/diff", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const runs = clusterRunStore[sid]?.runs || [];
+    // "r2" (latest) | "r2:original" | "r2:edited" | "current"
+    const pick = (id) => {
+      if (id === "current") return clusterStore[sid] ? { runId: "current", ranAt: clusterStore[sid].generatedAt, result: clusterStore[sid] } : null;
+      const [runId, version = "latest"] = id.split(":");
+      const entry = runs.find((r) => r.runId === runId);
+      const result = entry && CLUSTER_RUN_VERSIONS.includes(version) ? clusterRunResult(entry, version) : null;
+      return result ? { ...entry, result, version } : null;
     };
+    const fromId = String(req.query?.from || "").trim().toLowerCase();
+    const toId = String(req.query?.to || "current").trim().toLowerCase();
+    if (!fromId) return res.status(400).json({ ok: false, error: "from diperlukan (runId)" });
+    const from = pick(fromId);
+    const to = pick(toId);
+    if (!from || !to) return res.status(404).json({ ok: false, error: `Run tidak ditemui: ${!from ? fromId : toId}` });
+
+    const text = new Map(s.cards.map((c) => [String(c.id), getCardText(c)]));
+    const diff = diffClusterResults(from.result, to.result, (id) => text.get(id) || "");
+    return res.json({
+      ok: true,
+      sessionId: sid,
+      from: { runId: from.result.runId || from.runId, version: from.version || null, ranAt: from.ranAt, params: from.params || null },
+      to: {
+        runId: to.result.runId || to.runId,
+        version: to.version || null,
+        ranAt: to.ranAt,
+        params: to.params || null,
+        current: toId === "current",
+      },
+      ...diff,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/cluster/runs/:sessionId/:runId", requireRole("observer"), async (req, res) => {
+  try {
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-    clusterStore[sid] = result;
-    return res.json(result);
+    const runId = String(req.params.runId || "").trim().toLowerCase();
+    const entry = (clusterRunStore[sid]?.runs || []).find((r) => r.runId === runId);
+    if (!entry) return res.status(404).json({ ok: false, error: "Run tidak ditemui" });
+    return res.json({ ok: true, sessionId: sid, ...entry, current: clusterStore[sid]?.runId === runId });
   } catch (e) {
-    return res.status(500).json({ error: e?.message || "AI cluster run error" });
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
 });
 
-/**
- * Apply AI Cluster result -> simpan sebagai CU/WA dalam session (cus[])
- * POST /api/cluster/apply
- * Body: { sessionId: "..." }
- */
-app.post("/api/cluster/apply", (req, res) => {
+app.post("/api/cluster/runs/:sessionId/:runId/restore", requireRole("facilitator"), requirePhase("cluster.edit"), async (req, res) => {
   try {
-    const sid = String(req.body?.sessionId || "").trim();
-    if (!sid) return res.status(400).json({ ok: false, error: "sessionId diperlukan" });
+    const sid = String(req.params.sessionId || "").trim();
+    const s = await loadSession(sid);
+    if (!s) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
 
-    const last = clusterStore[sid];
-    if (!last || !Array.isArray(last.clusters) || !last.clusters.length) {
-      return res.status(400).json({ ok: false, error: "Tiada cluster result. Sila run /api/cluster/run dahulu." });
-    }
+    const runId = String(req.params.runId || "").trim().toLowerCase();
+    const entry = (clusterRunStore[sid]?.runs || []).find((r) => r.runId === runId);
+    if (!entry) return res.status(404).json({ ok: false, error: "Run tidak ditemui" });
 
-    const sess = ensureSession(sid);
-    const cards = getSessionCards(sid);
-    const byId = new Map(cards.map((c) => [String(c.id), c]));
+    const version = String(req.query?.version || req.body?.version || "latest").trim().toLowerCase();
+    if (!CLUSTER_RUN_VERSIONS.includes(version)) {
+      return res.status(400).json({ ok: false, error: `version mesti salah satu: ${CLUSTER_RUN_VERSIONS.join(", ")}` });
+    }
+    const source = clusterRunResult(entry, version);
+    if (!source) return res.status(404).json({ ok: false, error: `Run ${runId} belum pernah diedit` });
 
-    const cus = last.clusters.map((cl, i) => {
-      const cuId = `CU-${String(i + 1).padStart(2, "0")}`;
-      const cuTitle = String(cl?.title || `CU ${i + 1}`).trim();
+    const lang = String(s.lang || "MS").toUpperCase();
+    if (source.lang && source.lang !== lang) {
+      return res.status(409).json({ ok: false, error: `Run ${runId} dalam bahasa ${source.lang}; bahasa session kini ${lang}` });
+    }
 
-      const cardIds = Array.isArray(cl?.cardIds) ? cl.cardIds : [];
-      const activities = cardIds.map((id, j) => {
-        const card = byId.get(String(id));
-        const waTitle = (card && getCardText(card)) || `Aktiviti ${j + 1}`;
-        return { waId: `WA-${String(j + 1).padStart(2, "0")}`, waTitle, cardIds: [id] };
+    const actor = requestActor(req);
+    const { before, restored } = await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+      const before = clusterStore[sid] || null;
+      const restored = structuredClone(source);
+      clusterStore[sid] = restored;
+      await persistSession(sid, ["cluster", "clusterRuns"]);
+      await recordEvent(sid, {
+        type: "cluster.restored",
+        actor,
+        target: { runId, version, fromRunId: before?.runId || null },
+        after: restored,
       });
-
-      return { cuId, cuTitle, activities };
+      return { before, restored };
     });
-
-    sess.cus = cus;
-    sess.appliedAt = nowISO();
-    sess.updatedAt = nowISO();
-
-    // tag cards supaya summary assigned jadi betul
-    const cuByCardId = new Map();
-    cus.forEach((cu) => cu.activities.forEach((wa) => (wa.cardIds || []).forEach((cid) => cuByCardId.set(String(cid), cu.cuTitle))));
-    cards.forEach((c) => {
-      const t = cuByCardId.get(String(c.id));
-      if (t) c.cuTitle = t;
+    broadcast(sid, "cluster:update", {
+      sessionId: sid,
+      generatedAt: restored.generatedAt,
+      clusters: restored.clusters.length,
+      op: "restore",
+      runId,
+      version,
     });
 
-    return res.json({ ok: true, sessionId: sid, cusCount: cus.length, appliedAt: sess.appliedAt, sampleCu: cus[0] || null });
+    return res.json({ ok: true, sessionId: sid, runId, version, restoredFrom: before?.runId || null, result: restored });
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
@@ -1461,14 +6271,14 @@ app.post("/api/cluster/apply", (req, res) => {
  * ====================================================== */
 
 /** bina CPC daripada cards (source of truth) */
-function buildCpcForSession(sessionId) {
+async function buildCpcForSession(sessionId) {
   const sid = String(sessionId || "").trim();
   if (!sid) throw new Error("sessionId diperlukan");
 
-  const s = ensureSession(sid);
+  const s = await loadSession(sid);
   if (!s) throw new Error("Session tidak ditemui");
 
-  const cards = getSessionCards(sid);
+  const cards = await getSessionCards(sid);
 
   // bina CU → WA (ikut struktur card sebenar: cuTitle + activity/name)
   const cuMap = {};
@@ -1483,46 +6293,332 @@ function buildCpcForSession(sessionId) {
     if (!exists) cuMap[cuTitle].wa.push({ waCode: "", waTitle });
   });
 
-  const units = Object.values(cuMap).map((u, i) => ({
-    ...u,
-    cuCode: `C${String(i + 1).padStart(2, "0")}`,
-    wa: (u.wa || []).map((w, j) => ({ ...w, waCode: `W${String(j + 1).padStart(2, "0")}` })),
-  }));
+  // teras setiap CU ikut s.cus (padan tajuk); kod CU dinomborkan berturutan merentas teras (T01: C01..C03, T02: C04..)
+  const teras = sessionTeras(s);
+  const terasIndex = new Map(teras.map((t, i) => [t.terasCode, i]));
+  const cuByTitle = new Map((s.cus || []).map((cu) => [String(cu.cuTitle || "").trim().toLowerCase(), cu]));
+
+  const units = Object.values(cuMap)
+    .map((u) => ({ ...u, terasCode: cuTerasCode(s, cuByTitle.get(u.cuTitle.toLowerCase())) }))
+    .sort((a, b) => terasIndex.get(a.terasCode) - terasIndex.get(b.terasCode)) // stabil: susunan asal dalam teras
+    .map((u, i) => ({
+      ...u,
+      cuCode: `C${String(i + 1).padStart(2, "0")}`,
+      wa: (u.wa || []).map((w, j) => ({ ...w, waCode: `W${String(j + 1).padStart(2, "0")}` })),
+    }));
 
   return {
     sessionId: sid,
     lang: String(s.lang || "MS").toUpperCase(),
     generatedAt: nowISO(),
-    teras: [{ terasCode: "T01", terasTitle: s.terasTitle || "Pengurusan & Pengimarahan Masjid" }],
+    teras: teras.map((t) => ({
+      terasCode: t.terasCode,
+      terasTitle: t.terasTitle,
+      cuCodes: units.filter((u) => u.terasCode === t.terasCode).map((u) => u.cuCode),
+    })),
     // penting: compatibility untuk CP Dashboard
     cus: units,
     units,
   };
 }
 
-/**
- * GET /api/cpc/:sessionId
- */
-app.get("/api/cpc/:sessionId", (req, res) => {
+/* ------------------------------------------------------
+ * CPC tersimpan (cpc.json) — versi + freeze
+ * cpcStore[sid] = { latestVersion: "v2", frozenVersion: "v1"|null,
+ *                   versions: [{ version, cpc, savedAt, savedBy, source, frozenAt?, frozenBy? }] }
+ * GET  /api/cpc/:sessionId                ?version=vN | ?source=cards (bina semula daripada kad, tidak disimpan)
+ * GET  /api/cpc/:sessionId/versions
+ * POST /api/cpc/:sessionId/generate       -> simpan versi baru daripada kad + teras semasa
+ * PUT  /api/cpc/:sessionId                body: { units: [{ cuCode, cuTitle, terasCode, wa: [{ waCode, waTitle }] }], teras? }
+ * POST /api/cpc/:sessionId/freeze         body: { version? } -> pin kod CU/WA; CP dibina daripada versi ini
+ * POST /api/cpc/:sessionId/unfreeze
+ * Tiada versi tersimpan -> GET bina daripada kad (tingkah laku lama).
+ * ------------------------------------------------------ */
+const CPC_CODE_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,15}$/;
+
+function _getCpcBucket(sessionId) {
+  return cpcStore[sessionId] || null;
+}
+
+function _getCpcEntry(sessionId, version = "latest") {
+  const bucket = _getCpcBucket(sessionId);
+  if (!bucket?.versions?.length) return null;
+  const want = version === "latest" ? bucket.latestVersion : String(version).toLowerCase();
+  return bucket.versions.find((v) => v.version === want) || null;
+}
+
+/** versi CPC yang dibekukan (rujukan CP) atau null */
+function frozenCpcEntry(sessionId) {
+  const bucket = _getCpcBucket(sessionId);
+  return bucket?.frozenVersion ? _getCpcEntry(sessionId, bucket.frozenVersion) : null;
+}
+
+function _nextCpcVersion(bucket) {
+  const last = bucket.versions[bucket.versions.length - 1]?.version || "v0";
+  return `v${(Number(String(last).replace(/^v/i, "")) || 0) + 1}`;
+}
+
+async function saveCpcVersion(sessionId, cpc, { actor, source }) {
+  if (!cpcStore[sessionId]) cpcStore[sessionId] = { latestVersion: null, frozenVersion: null, versions: [] };
+  const bucket = cpcStore[sessionId];
+
+  const entry = { version: _nextCpcVersion(bucket), cpc, savedAt: nowISO(), savedBy: actor.name, source };
+  bucket.versions.push(entry);
+  bucket.latestVersion = entry.version;
+
+  await persistSession(sessionId, ["cpc"]);
+  await recordEvent(sessionId, { type: "cpc.saved", actor, target: { version: entry.version }, after: entry });
+  broadcast(sessionId, "cpc:update", { sessionId, version: entry.version, frozenVersion: bucket.frozenVersion });
+  return entry;
+}
+
+/** bentuk response: cpc + metadata versi (cus = alias units untuk CP Dashboard) */
+function cpcView(sessionId, entry) {
+  const bucket = _getCpcBucket(sessionId);
+  return {
+    ...entry.cpc,
+    cus: entry.cpc.units,
+    version: entry.version,
+    latestVersion: bucket.latestVersion,
+    frozenVersion: bucket.frozenVersion || null,
+    status: bucket.frozenVersion === entry.version ? "FROZEN" : "DRAFT",
+    savedAt: entry.savedAt,
+    savedBy: entry.savedBy,
+    frozenAt: entry.frozenAt || null,
+  };
+}
+
+/** sahkan CPC yang diedit -> { cpc } atau { error, issues } */
+function normalizeCpcEdit(body, base) {
+  const teras = Array.isArray(body?.teras) ? body.teras : base.teras;
+  const rawUnits = Array.isArray(body?.units) ? body.units : Array.isArray(body?.cus) ? body.cus : null;
+  if (!rawUnits) return { error: "units (array CU) diperlukan" };
+
+  const issues = [];
+  const terasCodes = new Set();
+  const cleanTeras = (teras || []).map((t, i) => {
+    const terasCode = String(t?.terasCode || "").trim();
+    const terasTitle = String(t?.terasTitle || "").trim();
+    if (!CPC_CODE_RE.test(terasCode)) issues.push(`teras[${i}]: terasCode tidak sah`);
+    if (!terasTitle) issues.push(`teras[${i}]: terasTitle diperlukan`);
+    if (terasCodes.has(terasCode)) issues.push(`teras[${i}]: terasCode berulang (${terasCode})`);
+    terasCodes.add(terasCode);
+    return { terasCode, terasTitle };
+  });
+  if (!cleanTeras.length) issues.push("Sekurang-kurangnya satu teras diperlukan");
+
+  const cuCodes = new Set();
+  const units = rawUnits.map((u, i) => {
+    const cuCode = String(u?.cuCode || "").trim().toUpperCase();
+    const cuTitle = String(u?.cuTitle || "").trim();
+    const terasCode = String(u?.terasCode || cleanTeras[0]?.terasCode || "").trim();
+    if (!CPC_CODE_RE.test(cuCode)) issues.push(`units[${i}]: cuCode tidak sah`);
+    if (cuCodes.has(cuCode.toLowerCase())) issues.push(`units[${i}]: cuCode berulang (${cuCode})`);
+    cuCodes.add(cuCode.toLowerCase());
+    if (!cuTitle) issues.push(`units[${i}]: cuTitle diperlukan`);
+    if (!terasCodes.has(terasCode)) issues.push(`units[${i}]: terasCode tidak wujud (${terasCode})`);
+
+    const waCodes = new Set();
+    const wa = (Array.isArray(u?.wa) ? u.wa : []).map((w, j) => {
+      const waCode = String(w?.waCode || "").trim().toUpperCase();
+      const waTitle = String(w?.waTitle || "").trim();
+      if (!CPC_CODE_RE.test(waCode)) issues.push(`units[${i}].wa[${j}]: waCode tidak sah`);
+      if (waCodes.has(waCode)) issues.push(`units[${i}].wa[${j}]: waCode berulang (${waCode})`);
+      waCodes.add(waCode);
+      if (!waTitle) issues.push(`units[${i}].wa[${j}]: waTitle diperlukan`);
+      return { waCode, waTitle };
+    });
+    if (!wa.length) issues.push(`units[${i}]: sekurang-kurangnya satu WA diperlukan`);
+    return { cuCode, cuTitle, terasCode, wa };
+  });
+
+  if (issues.length) return { error: "CPC tidak sah", issues };
+  return {
+    cpc: {
+      sessionId: base.sessionId,
+      lang: base.lang,
+      generatedAt: base.generatedAt,
+      editedAt: nowISO(),
+      teras: cleanTeras.map((t) => ({ ...t, cuCodes: units.filter((u) => u.terasCode === t.terasCode).map((u) => u.cuCode) })),
+      units,
+    },
+  };
+}
+
+function cpcFrozenError(res, sessionId) {
+  return res.status(409).json({
+    ok: false,
+    error: `CPC dibekukan (${_getCpcBucket(sessionId).frozenVersion}); unfreeze dahulu untuk ubah`,
+    frozenVersion: _getCpcBucket(sessionId).frozenVersion,
+  });
+}
+
+// buang alias cus sebelum simpan (elak data berganda dalam cpc.json)
+function cpcForStore(cpc) {
+  const { cus, ...rest } = cpc;
+  return rest;
+}
+
+app.get("/api/cpc/:sessionId", requireRole("observer"), async (req, res) => {
   try {
     const sessionId = String(req.params.sessionId || "").trim();
     if (!sessionId) return res.status(400).json({ error: "sessionId diperlukan" });
-
-    const cpc = buildCpcForSession(sessionId);
-    return res.json(cpc);
+    if (!(await loadSession(sessionId))) return res.status(404).json({ error: "Session tidak ditemui" });
+
+    const version = String(req.query?.version || "latest").trim();
+    const entry = req.query?.source === "cards" ? null : _getCpcEntry(sessionId, version);
+    if (!entry) {
+      if (version !== "latest") return res.status(404).json({ error: "Versi CPC tidak ditemui" });
+      const cpc = await buildCpcForSession(sessionId);
+      return res.json({ ...cpc, version: null, status: "UNSAVED", frozenVersion: _getCpcBucket(sessionId)?.frozenVersion || null });
+    }
+    return res.json(cpcView(sessionId, entry));
   } catch (e) {
     return res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
+app.get("/api/cpc/:sessionId/versions", requireRole("observer"), async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sessionId))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const bucket = _getCpcBucket(sessionId);
+    const items = (bucket?.versions || []).map((v) => ({
+      version: v.version,
+      source: v.source,
+      savedAt: v.savedAt,
+      savedBy: v.savedBy,
+      frozenAt: v.frozenAt || null,
+      units: v.cpc.units.length,
+      frozen: bucket.frozenVersion === v.version,
+    }));
+    return res.json({ ok: true, sessionId, latestVersion: bucket?.latestVersion || null, frozenVersion: bucket?.frozenVersion || null, items });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cpc/:sessionId/generate", requireRole("facilitator"), requirePhase("structure.edit"), async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sessionId))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    // semakan freeze + simpan versi dalam queue session (freeze / edit serentak)
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      if (_getCpcBucket(sessionId)?.frozenVersion) return { frozen: true };
+      const cpc = cpcForStore(await buildCpcForSession(sessionId));
+      if (!cpc.units.length) return { error: "Tiada CU/WA daripada kad. Sila apply cluster dahulu." };
+      return { entry: await saveCpcVersion(sessionId, cpc, { actor: requestActor(req), source: "generated" }) };
+    });
+    if (out.frozen) return cpcFrozenError(res, sessionId);
+    if (out.error) return res.status(400).json({ ok: false, error: out.error });
+
+    const { entry } = out;
+    return res.json({ ok: true, sessionId, cpc: cpcView(sessionId, entry) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.put("/api/cpc/:sessionId", requireRole("facilitator"), requirePhase("structure.edit"), async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sessionId))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      if (_getCpcBucket(sessionId)?.frozenVersion) return { frozen: true };
+      const base = _getCpcEntry(sessionId)?.cpc || cpcForStore(await buildCpcForSession(sessionId));
+      const { cpc, error, issues } = normalizeCpcEdit(req.body, base);
+      if (error) return { error, issues };
+      return { entry: await saveCpcVersion(sessionId, cpc, { actor: requestActor(req), source: "edited" }) };
+    });
+    if (out.frozen) return cpcFrozenError(res, sessionId);
+    if (out.error) return res.status(400).json({ ok: false, error: out.error, issues: out.issues || [] });
+
+    const { entry } = out;
+    return res.json({ ok: true, sessionId, cpc: cpcView(sessionId, entry) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cpc/:sessionId/freeze", requireRole("facilitator"), requirePhase("structure.edit"), async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sessionId))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const actor = requestActor(req);
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      if (_getCpcBucket(sessionId)?.frozenVersion) return { frozen: true };
+
+      let entry = _getCpcEntry(sessionId, String(req.body?.version || "latest").trim());
+      if (!entry && !req.body?.version) {
+        // belum pernah disimpan -> simpan CPC semasa (daripada kad) dahulu
+        const cpc = cpcForStore(await buildCpcForSession(sessionId));
+        if (!cpc.units.length) return { status: 400, error: "Tiada CU/WA untuk dibekukan" };
+        entry = await saveCpcVersion(sessionId, cpc, { actor, source: "generated" });
+      }
+      if (!entry) return { status: 404, error: "Versi CPC tidak ditemui" };
+
+      const bucket = _getCpcBucket(sessionId);
+      bucket.frozenVersion = entry.version;
+      entry.frozenAt = nowISO();
+      entry.frozenBy = actor.name;
+      await persistSession(sessionId, ["cpc"]);
+      await recordEvent(sessionId, {
+        type: "cpc.frozen",
+        actor,
+        target: { version: entry.version },
+        before: { frozenVersion: null },
+        after: { frozenVersion: entry.version, frozenAt: entry.frozenAt, frozenBy: entry.frozenBy },
+      });
+      return { entry };
+    });
+    if (out.frozen) return cpcFrozenError(res, sessionId);
+    if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
+
+    const { entry } = out;
+    broadcast(sessionId, "cpc:update", { sessionId, version: entry.version, frozenVersion: entry.version });
+
+    return res.json({ ok: true, sessionId, cpc: cpcView(sessionId, entry) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/cpc/:sessionId/unfreeze", requireRole("facilitator"), requirePhase("structure.edit"), async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId || "").trim();
+    if (!(await loadSession(sessionId))) return res.status(404).json({ ok: false, error: "Session tidak ditemui" });
+
+    const bucket = await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      const bucket = _getCpcBucket(sessionId);
+      if (!bucket?.frozenVersion) return null;
+
+      const before = { frozenVersion: bucket.frozenVersion };
+      bucket.frozenVersion = null;
+      await persistSession(sessionId, ["cpc"]);
+      await recordEvent(sessionId, { type: "cpc.unfrozen", actor: requestActor(req), target: before, before, after: { frozenVersion: null } });
+      return bucket;
+    });
+    if (!bucket) return res.status(409).json({ ok: false, error: "CPC tidak dibekukan" });
+
+    broadcast(sessionId, "cpc:update", { sessionId, version: bucket.latestVersion, frozenVersion: null });
+
+    return res.json({ ok: true, sessionId, latestVersion: bucket.latestVersion, frozenVersion: null });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
 /* ======================================================
  * 5) CP BUILDER (LOCKED FASA 3)
  * ====================================================== */
 
 // ------------------------------
-// CP In-Memory Store (boleh tukar DB kemudian)
+// CP Store (cpStore dideclare di 0) SESSIONS, dipersist sebagai cp.json)
 // ------------------------------
-const cpStore = {}; 
 // shape: cpStore[sessionId][cuKey] = { latestVersion: "v1", versions: [{version, cp}] }
 
 function _ensureCpBucket(sessionId) {
@@ -2135,14 +7231,20 @@ function validateCp(cp) {
  * - { sessionId, cuId }
  * - { session, cu } (legacy)
  */
-app.post("/api/cp/draft", async (req, res) => {
+app.post("/api/cp/draft", requireRole("facilitator"), requirePhase("cp.draft"), async (req, res) => {
   try {
     const sessionId = String(req.body?.sessionId || req.body?.session || "").trim();
     const cuCodeRaw = String(req.body?.cuCode || req.body?.cuId || req.body?.cu || "").trim();
 
     if (!sessionId || !cuCodeRaw) return res.status(400).json({ ok: false, error: "sessionId dan cuCode (atau cu) wajib." });
 
-    const cpc = buildCpcForSession(sessionId);
+    // CP sentiasa dibina daripada CPC yang dibekukan (kod CU/WA tidak berubah)
+    await loadSession(sessionId);
+    const frozen = frozenCpcEntry(sessionId);
+    if (!frozen) {
+      return res.status(409).json({ ok: false, error: "CPC belum dibekukan. Sila freeze CPC dahulu.", hint: "POST /api/cpc/:sessionId/freeze" });
+    }
+    const cpc = cpcView(sessionId, frozen);
 
     // frontend kadang hantar "c01" (lowercase) -> kita normalize
     const cuKey = cuCodeRaw.toLowerCase();
@@ -2161,39 +7263,68 @@ app.post("/api/cp/draft", async (req, res) => {
 
     const validation = validateCp(cp);
     cp.validation = validation;
+    cp.cpcVersion = frozen.version;
+
+    // AI dijana di luar queue; semak semula CPC beku dalam queue sebelum simpan
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      if (_getCpcBucket(sessionId)?.frozenVersion !== frozen.version) {
+        return { status: 409, error: "CPC beku berubah semasa draft dijana. Sila cuba semula." };
+      }
+      const before = _getLatestCp(sessionId, cuKey);
+      const ver = _saveCpVersion(sessionId, cuKey, cp, { bumpVersion: true });
+      await persistSession(sessionId, ["cp"]);
+      await recordEvent(sessionId, {
+        type: "cp.drafted",
+        actor: requestActor(req),
+        target: { cuKey },
+        before,
+        after: { version: ver, cp },
+      });
+      return { ver };
+    });
+    if (out.error) return res.status(out.status).json({ ok: false, error: out.error });
 
-    const ver = _saveCpVersion(sessionId, cuKey, cp, { bumpVersion: true });
+    const { ver } = out;
+    broadcast(sessionId, "cp:update", { sessionId, cuKey, version: ver, status: cp.status || null });
 
     // compat output: cpDraft + cp
-    return res.json({ ok: true, version: ver, cpDraft: cp, cp });
+    return res.json({ ok: true, version: ver, cpcVersion: frozen.version, cpDraft: cp, cp });
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
 });
 
-app.get("/api/cp/:sessionId/:cuId", (req, res) => {
-  const sessionId = String(req.params.sessionId || "").trim();
-  const cuId = String(req.params.cuId || "").trim().toLowerCase();
-  const versionQ = String(req.query?.version || "latest").trim();
+app.get("/api/cp/:sessionId/:cuId", requireRole("observer"), async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId || "").trim();
+    const cuId = String(req.params.cuId || "").trim().toLowerCase();
+    const versionQ = String(req.query?.version || "latest").trim();
 
-  const bucket = cpStore?.[sessionId]?.[cuId];
-  if (!bucket || !Array.isArray(bucket.versions) || !bucket.versions.length) {
-    return res.status(404).json({ error: "CP belum wujud. Jana draft dahulu." });
-  }
+    await loadSession(sessionId);
+    const bucket = cpStore?.[sessionId]?.[cuId];
+    if (!bucket || !Array.isArray(bucket.versions) || !bucket.versions.length) {
+      return res.status(404).json({ error: "CP belum wujud. Jana draft dahulu." });
+    }
 
-  const versions = bucket.versions;
+    const versions = bucket.versions;
+    // stale = CP dibina daripada CPC yang bukan versi beku semasa
+    const frozenVersion = _getCpcBucket(sessionId)?.frozenVersion || null;
+    const withCpcRef = (v) => ({ ...v, cpcVersion: v.cp?.cpcVersion || null, stale: (v.cp?.cpcVersion || null) !== frozenVersion });
 
-  if (versionQ === "latest") {
-    return res.json(versions[versions.length - 1]);
-  }
+    if (versionQ === "latest") {
+      return res.json(withCpcRef(versions[versions.length - 1]));
+    }
 
-  const found = versions.find((x) => String(x.version) === String(versionQ).toLowerCase());
-  if (!found) return res.status(404).json({ error: "Versi CP tidak ditemui." });
+    const found = versions.find((x) => String(x.version) === String(versionQ).toLowerCase());
+    if (!found) return res.status(404).json({ error: "Versi CP tidak ditemui." });
 
-  return res.json(found);
+    return res.json(withCpcRef(found));
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
 });
 
-app.put("/api/cp/:sessionId/:cuId", (req, res) => {
+app.put("/api/cp/:sessionId/:cuId", requireRole("facilitator"), requirePhase("cp.draft"), async (req, res) => {
   try {
     const sessionId = String(req.params.sessionId || "").trim();
     const cuId = String(req.params.cuId || "").trim().toLowerCase();
@@ -2206,9 +7337,25 @@ app.put("/api/cp/:sessionId/:cuId", (req, res) => {
     cp.audit = cp.audit || {};
     cp.audit.updatedAt = nowISO();
     cp.audit.updatedBy = Array.isArray(cp.audit.updatedBy) ? cp.audit.updatedBy : [];
-    if (!cp.audit.updatedBy.includes("FACILITATOR")) cp.audit.updatedBy.push("FACILITATOR");
-
-    const ver = _saveCpVersion(sessionId, cuId, cp, { bumpVersion: false });
+    const editor = req.auth?.name || "FACILITATOR";
+    if (!cp.audit.updatedBy.includes(editor)) cp.audit.updatedBy.push(editor);
+
+    await loadSession(sessionId);
+    const ver = await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      const before = _getLatestCp(sessionId, cuId);
+      cp.cpcVersion = before?.cp?.cpcVersion ?? null; // rujukan CPC ditetapkan semasa draft, bukan oleh client
+      const v = _saveCpVersion(sessionId, cuId, cp, { bumpVersion: false });
+      await persistSession(sessionId, ["cp"]);
+      await recordEvent(sessionId, {
+        type: "cp.updated",
+        actor: requestActor(req),
+        target: { cuKey: cuId },
+        before,
+        after: { version: v, cp },
+      });
+      return v;
+    });
+    broadcast(sessionId, "cp:update", { sessionId, cuKey: cuId, version: ver, status: cp.status || null });
     return res.json({ ok: true, version: ver, validation });
   } catch (e) {
     return res.status(500).json({ error: String(e?.message || e) });
@@ -2226,31 +7373,60 @@ app.post("/api/cp/validate", (req, res) => {
   }
 });
 
-app.post("/api/cp/lock", (req, res) => {
+app.post("/api/cp/lock", requireRole("facilitator"), requirePhase("cp.lock"), async (req, res) => {
   try {
     const sessionId = String(req.body?.sessionId || "").trim();
     const cuId = String(req.body?.cuCode || req.body?.cuId || req.body?.cu || "").trim().toLowerCase();
-    const lockedBy = String(req.body?.lockedBy || "PANEL").trim();
+    const lockedBy = String(req.auth ? req.auth.name : req.body?.lockedBy || "PANEL").trim();
 
     if (!sessionId || !cuId) return res.status(400).json({ error: "sessionId dan cuId/cuCode wajib." });
 
-    const latest = _getLatestCp(sessionId, cuId);
-    if (!latest) return res.status(404).json({ error: "CP belum wujud. Jana draft dahulu." });
+    await loadSession(sessionId);
+    const out = await withWriteQueue(`session:${sanitizeSessionId(sessionId)}`, async () => {
+      const latest = _getLatestCp(sessionId, cuId);
+      if (!latest) return { status: 404, body: { error: "CP belum wujud. Jana draft dahulu." } };
 
-    const cp = latest.cp;
-    const validation = validateCp(cp);
-    cp.validation = validation;
+      const before = structuredClone(latest);
+      const cp = latest.cp;
+      const validation = validateCp(cp);
+      cp.validation = validation;
 
-    const hasError = (validation.issues || []).some((x) => x.level === "ERROR");
-    if (hasError) return res.status(400).json({ error: "Tak boleh LOCK kerana ada ERROR pada validation.", validation });
+      const hasError = (validation.issues || []).some((x) => x.level === "ERROR");
+      if (hasError) return { status: 400, body: { error: "Tak boleh LOCK kerana ada ERROR pada validation.", validation } };
 
-    cp.status = "LOCKED";
-    cp.audit = cp.audit || {};
-    cp.audit.lockedAt = nowISO();
-    cp.audit.lockedBy = lockedBy;
+      const frozenVersion = _getCpcBucket(sessionId)?.frozenVersion || null;
+      if (!cp.cpcVersion || cp.cpcVersion !== frozenVersion) {
+        return {
+          status: 409,
+          body: {
+            error: `CP dibina daripada CPC ${cp.cpcVersion || "(tiada)"}, CPC beku semasa ${frozenVersion || "(tiada)"}. Jana draft semula dahulu.`,
+            cpcVersion: cp.cpcVersion || null,
+            frozenVersion,
+          },
+        };
+      }
+
+      cp.status = "LOCKED";
+      cp.audit = cp.audit || {};
+      cp.audit.lockedAt = nowISO();
+      cp.audit.lockedBy = lockedBy;
+
+      const ver = _saveCpVersion(sessionId, cuId, cp, { bumpVersion: true });
+      cp.cpId = `${sessionId}-${cuId}-${ver}`;
+      await persistSession(sessionId, ["cp"]);
+      await recordEvent(sessionId, {
+        type: "cp.locked",
+        actor: requestActor(req),
+        target: { cuKey: cuId },
+        before,
+        after: { version: ver, cp },
+      });
+      return { cp, ver, validation };
+    });
+    if (out.body) return res.status(out.status).json(out.body);
 
-    const ver = _saveCpVersion(sessionId, cuId, cp, { bumpVersion: true });
-    cp.cpId = `${sessionId}-${cuId}-${ver}`;
+    const { cp, ver, validation } = out;
+    broadcast(sessionId, "cp:update", { sessionId, cuKey: cuId, version: ver, status: cp.status });
 
     return res.json({ ok: true, cpId: cp.cpId, version: ver, validation });
   } catch (e) {
@@ -2258,45 +7434,43 @@ app.post("/api/cp/lock", (req, res) => {
   }
 });
 
-app.get("/api/cp/export/:sessionId/:cuId", (req, res) => {
-  const sessionId = String(req.params.sessionId || "").trim();
-  const cuId = String(req.params.cuId || "").trim().toLowerCase();
-  const format = String(req.query?.format || "json").trim().toLowerCase();
+app.get("/api/cp/export/:sessionId/:cuId", requireRole("observer"), async (req, res) => {
+  try {
+    const sessionId = String(req.params.sessionId || "").trim();
+    const cuId = String(req.params.cuId || "").trim().toLowerCase();
+    const format = String(req.query?.format || "json").trim().toLowerCase();
 
-  const latest = _getLatestCp(sessionId, cuId);
-  if (!latest) return res.status(404).json({ error: "CP belum wujud." });
-  if (format !== "json") return res.status(400).json({ error: "Buat masa ini hanya format=json disokong." });
+    await loadSession(sessionId);
+    const latest = _getLatestCp(sessionId, cuId);
+    if (!latest) return res.status(404).json({ error: "CP belum wujud." });
+    if (format !== "json") return res.status(400).json({ error: "Buat masa ini hanya format=json disokong." });
 
-  res.setHeader("Content-Type", "application/json; charset=utf-8");
-  return res.send(JSON.stringify(latest.cp, null, 2));
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.send(JSON.stringify(latest.cp, null, 2));
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
 });
 
 /* ======================================================
  * 6) SISTEM 2 Bridge (Seed WA)
  * ====================================================== */
-app.post("/api/s2/seed-wa", (req, res) => {
+app.post("/api/s2/seed-wa", requireRole("facilitator"), requirePhase("cards.write"), async (req, res) => {
   try {
     const sessionId = String(req.body?.sessionId || "").trim();
     const waList = Array.isArray(req.body?.waList) ? req.body.waList : [];
 
     if (!sessionId) return res.status(400).json({ error: "sessionId diperlukan" });
     if (!waList.length) return res.status(400).json({ error: "waList kosong" });
+    if (!(await loadSession(sessionId))) return res.status(404).json({ error: "Session tidak ditemui" });
 
-    const now = Date.now();
     const cards = waList
       .map((wa) => String(wa || "").trim())
       .filter(Boolean)
-      .map((wa, i) => ({
-        id: now + i,
-        activity: wa,
-        wa,
-        title: wa,
-        source: "s2-seed",
-        time: nowISO(),
-      }));
-
-    setSessionCards(sessionId, cards);
-    return res.json({ ok: true, sessionId, totalSeeded: cards.length });
+      .map((wa) => ({ activity: wa, wa, title: wa }));
+
+    const out = await replaceSessionCards(sessionId, cards, { source: "s2-seed", actor: requestActor(req) });
+    return res.json({ ok: true, sessionId, totalSeeded: out.cards.length });
   } catch (e) {
     return res.status(500).json({ error: String(e?.message || e) });
   }
@@ -2468,7 +7642,7 @@ app.get("/api/myspike/index/status", (req, res) => {
   res.json({ ok: true, meta });
 });
 
-app.post("/api/myspike/index/build", async (req, res) => {
+app.post("/api/myspike/index/build", requireRole("admin"), async (req, res) => {
   try {
     const fromPage = Number(req.body?.fromPage || 1);
     const toPage = Number(req.body?.toPage || fromPage);
@@ -2526,14 +7700,22 @@ app.post("/api/myspike/cu/search", (req, res) => {
     const index = loadCuIndex();
     if (!q) return res.json({ ok: true, q, totalIndexed: index.length, hits: [] });
 
+    // frasa penuh (substring) + kata kunci ternormal ("penyediaan" padan "menyediakan")
+    const lang = String(req.body?.lang || "MS").toUpperCase();
+    const qTerms = [...new Set(normalizeText(q, { lang }))];
+
     const hits = index
       .map((cu) => {
         const hay = `${cu.cuCode} ${cu.cuTitle} ${cu.cuDesc}`.toLowerCase();
+        const titleTerms = new Set(normalizeText(cu.cuTitle || "", { lang }));
+        const descTerms = new Set(normalizeText(cu.cuDesc || "", { lang }));
+        const keywordScore = qTerms.reduce((sum, t) => sum + (titleTerms.has(t) ? 2 : descTerms.has(t) ? 1 : 0), 0);
         const score =
           (String(cu.cuTitle || "").toLowerCase().includes(q) ? 3 : 0) +
           (String(cu.cuDesc || "").toLowerCase().includes(q) ? 2 : 0) +
           (String(cu.cuCode || "").toLowerCase().includes(q) ? 1 : 0) +
-          (hay.includes(q) ? 1 : 0);
+          (hay.includes(q) ? 1 : 0) +
+          keywordScore;
         return { cu, score };
       })
       .filter((x) => x.score > 0)
@@ -2583,6 +7765,9 @@ function buildMyspikeCuText(item) {
   return `MySPIKE CU ${code}: ${title}\nHuraian: ${desc}`.trim();
 }
 
+// bilangan hasil perbandingan terakhir yang disimpan per session
+const MYSPIKE_COMPARE_KEEP = 20;
+
 // In-memory embeddings cache (MVP)
 let MYSPIKE_CU_ITEMS = null;
 let MYSPIKE_CU_EMB = null;
@@ -2613,9 +7798,14 @@ async function ensureMyspikeCuEmbeddings({ model = "text-embedding-3-small" } =
   MYSPIKE_CU_LOADED_AT = nowISO();
 }
 
-app.post("/api/s2/compare", async (req, res) => {
+app.post("/api/s2/compare", requireRole("facilitator"), requirePhase("myspike.compare"), async (req, res) => {
   try {
-    const { sessionId, cus, options, meta } = req.body || {};
+    const { cus, options, meta } = req.body || {};
+    // hanya body.sessionId disemak oleh requireRole / requirePhase — meta.sessionId lain ditolak
+    const sid = String(req.body?.sessionId || "").trim();
+    if (meta?.sessionId !== undefined && String(meta.sessionId).trim() !== sid) {
+      return res.status(400).json({ ok: false, error: "meta.sessionId mesti sama dengan sessionId" });
+    }
     const list = Array.isArray(cus) ? cus : [];
     if (!list.length) return res.status(400).json({ error: "cus kosong. Sila hantar sekurang-kurangnya 1 CU." });
 
@@ -2664,15 +7854,29 @@ app.post("/api/s2/compare", async (req, res) => {
       };
     });
 
-    return res.json({
+    const output = {
       ok: true,
-      sessionId: sessionId || meta?.sessionId || "unknown",
+      sessionId: sid || "unknown",
       meta: meta || {},
       myspike: { source: "REAL_INDEX", loadedAt: MYSPIKE_CU_LOADED_AT, totalCandidates: myItems.length, embeddingModel: "text-embedding-3-small" },
       summary: { totalCU: results.length, ada: results.filter((r) => r.decision.status === "ADA").length, tiada: results.filter((r) => r.decision.status === "TIADA").length },
       results,
       generatedAt: nowISO(),
-    });
+    };
+
+    // simpan hasil dalam session (jika wujud) supaya ikut sekali dalam bundle export
+    const sess = sid ? await loadSession(sid) : null;
+    if (sess) {
+      await withWriteQueue(`session:${sanitizeSessionId(sid)}`, async () => {
+        sess.myspikeCompare = [...(Array.isArray(sess.myspikeCompare) ? sess.myspikeCompare : []), output].slice(-MYSPIKE_COMPARE_KEEP);
+        sess.updatedAt = nowISO();
+        await persistSession(sid, ["session"]);
+        await recordEvent(sid, { type: "myspike.compared", actor: requestActor(req), after: output });
+      });
+      await autoAdvancePhase(sid, "cp", "compare", requestActor(req));
+    }
+
+    return res.json(output);
   } catch (e) {
     console.error("S2 compare error:", e);
     return res.status(500).json({ error: "Gagal buat perbandingan MySPIKE", detail: String(e?.message || e) });
@@ -2682,7 +7886,7 @@ app.post("/api/s2/compare", async (req, res) => {
 /* =========================
  * DEBUG: OpenAI connection
  * ========================= */
-app.get("/debug/openai", async (req, res) => {
+app.get("/debug/openai", requireRole("admin"), async (req, res) => {
   try {
     if (!process.env.OPENAI_API_KEY) return res.status(500).json({ ok: false, message: "OPENAI_API_KEY belum diset" });
 
@@ -2697,123 +7901,16 @@ app.get("/debug/openai", async (req, res) => {
  * 3) AI CLUSTER (REAL) - COMPAT ROUTE: /api/cluster/run/:sessionId
  *    (frontend baru cuba endpoint ini dahulu)
  * ====================================================== */
-app.post("/api/cluster/run/:sessionId", async (req, res) => {
+app.post("/api/cluster/run/:sessionId", requireRole("facilitator"), requirePhase("cluster.run"), async (req, res) => {
   try {
     const sid = String(req.params.sessionId || "").trim();
     if (!sid) return res.status(400).json({ error: "sessionId diperlukan" });
 
-    const s = ensureSession(sid);
-    if (!s) return res.status(400).json({ error: "sessionId tidak sah" });
-
-    // ✅ penting: tarik kad terbaru dari LiveBoard (S3) jika ada
-    await syncSessionCardsFromS3(sid);
-
-    const items = getSessionCards(sid);
-    if (items.length < 5) return res.status(400).json({ error: "Terlalu sedikit kad untuk clustering (min 5)" });
-
-    if (!process.env.OPENAI_API_KEY) return res.status(500).json({ error: "OPENAI_API_KEY belum diset" });
-
-    const cards = items.map((c) => ({ id: c.id, activity: getCardText(c) })).filter((c) => c.activity);
-    const validIds = new Set(cards.map((c) => String(c.id).trim()));
-
-    const normId = (v) => {
-      if (v === null || v === undefined) return "";
-      const s = String(v).trim();
-      if (s === "null" || s === "undefined") return "";
-      return s;
-    };
-
-    const sanitizeIds = (arr) =>
-      (Array.isArray(arr) ? arr : [])
-        .map(normId)
-        .filter((id) => id && validIds.has(id));
-
-    const lang = String(s.lang || "MS").toUpperCase(); // "MS" | "EN"
-
-    // Auto-lock bila run cluster
-    if (!s.langLocked) {
-      s.langLocked = true;
-      s.lockedAt = nowISO();
-      s.updatedAt = s.lockedAt;
-    }
-
-    const langRule =
-      lang === "EN"
-        ? [
-            "Cluster titles MUST be in English (EN).",
-            "Even if activity text is mixed Malay/English, the cluster title MUST remain English.",
-            "Use concise titles (2–6 words).",
-          ].join("\n")
-        : [
-            "Tajuk kluster MESTI dalam Bahasa Melayu (MS).",
-            "Walaupun teks aktiviti bercampur BM/EN, tajuk kluster MESTI kekal Bahasa Melayu.",
-            "Tajuk ringkas (2–6 perkataan).",
-          ].join("\n");
-
-    const prompt = `
-You are a DACUM facilitator.
-Task: Cluster work activities into logical CU groups.
-
-Output must be JSON ONLY, format:
-{
-  "clusters":[{"title":"...","cardIds":["<ID>","<ID>"]}],
-  "unassigned":[]
-}
-
-Rules:
-- Number of clusters: 4 to 12 (as appropriate).
-- Each cardId must appear in ONLY ONE cluster.
-- If an activity is too general/odd, put it into unassigned.
-- ${langRule}
-
-Activities:
-${cards.map((c) => `(${c.id}) ${c.activity}`).join("\n")}
-`.trim();
-
-    const out = await client.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0.2,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: "Return JSON only." },
-        { role: "user", content: prompt },
-      ],
+    const out = await runSessionCluster(sid, req, {
+      mode: String(req.body?.mode || req.query?.mode || "auto").trim().toLowerCase(),
+      clusterCount: req.body?.clusterCount,
     });
-
-    const raw = out?.choices?.[0]?.message?.content || "{}";
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      parsed = null;
-    }
-
-    if (!parsed || !Array.isArray(parsed.clusters)) {
-      return res.status(500).json({ error: "Output AI tidak sah", raw });
-    }
-
-    const clusters = parsed.clusters
-      .map((cl) => ({
-        title: String(cl?.title || "").trim(),
-        cardIds: Array.isArray(cl?.cardIds) ? cl.cardIds : [],
-      }))
-      .filter((cl) => cl.title && cl.cardIds.length);
-
-    const unassigned = Array.isArray(parsed.unassigned) ? parsed.unassigned : [];
-
-    const result = {
-      ok: true,
-      sessionId: sid,
-      lang,
-      langLocked: !!s.langLocked,
-      lockedAt: s.lockedAt || null,
-      generatedAt: nowISO(),
-      clusters,
-      unassigned,
-    };
-
-    clusterStore[sid] = result;
-    return res.json(result);
+    return res.status(out.status).json(out.body);
   } catch (e) {
     console.error("cluster run/:sessionId error:", e);
     return res.status(500).json({ error: String(e?.message || e) });
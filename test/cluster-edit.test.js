@@ -0,0 +1,126 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, seedSession, SAMPLE_ACTIVITIES } = require("./helpers/server");
+
+const SID = "CLU-1";
+
+async function setup(t) {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const admin = await srv.token("Admin", "admin");
+  const fac = await srv.token("Fasi", "facilitator", SID);
+  await seedSession(srv, SID, SAMPLE_ACTIVITIES, { token: admin });
+
+  const run = await srv.api("POST", "/api/cluster/run", { token: fac, body: { sessionId: SID, mode: "local", clusterCount: 3 } });
+  assert.equal(run.status, 200, run.text);
+  const cards = await srv.api("GET", `/api/cards/${SID}`, { token: fac });
+  return { srv, fac, runId: run.body.runId, cardIds: cards.body.items.map((c) => String(c.id)) };
+}
+
+async function result(srv, fac) {
+  const r = await srv.api("GET", `/api/cluster/result/${SID}`, { token: fac });
+  assert.equal(r.status, 200, r.text);
+  return r.body;
+}
+
+// setiap kad live tepat sekali (cluster atau unassigned), tiada cluster kosong, coverage sepadan
+function assertInvariants(res, liveIds) {
+  const placed = [...res.clusters.flatMap((cl) => cl.cardIds), ...res.unassigned].map(String);
+  assert.deepEqual([...placed].sort(), [...liveIds].sort());
+  assert.ok(res.clusters.every((cl) => cl.cardIds.length > 0));
+  assert.equal(new Set(res.clusters.map((cl) => cl.clusterId)).size, res.clusters.length);
+  assert.equal(res.coverage.totalCards, liveIds.length);
+}
+
+const edit = (srv, fac, op, body) => srv.api("POST", `/api/cluster/result/${SID}/${op}`, { token: fac, body });
+
+test("cluster edit: move / split / merge / rename kekalkan setiap kad dalam tepat satu cluster", async (t) => {
+  const { srv, fac, cardIds } = await setup(t);
+  let res = await result(srv, fac);
+  assertInvariants(res, cardIds);
+
+  const [a, b] = res.clusters;
+  const moved = await edit(srv, fac, "move", { cardIds: [a.cardIds[0]], toClusterId: b.clusterId });
+  assert.equal(moved.status, 200, moved.text);
+  assertInvariants(moved.body.result, cardIds);
+
+  res = await result(srv, fac);
+  const big = res.clusters.find((cl) => cl.cardIds.length >= 2);
+  const split = await edit(srv, fac, "split", { clusterId: big.clusterId, cardIds: [big.cardIds[0]], title: "Cluster pecahan" });
+  assert.equal(split.status, 200, split.text);
+  assertInvariants(split.body.result, cardIds);
+
+  res = await result(srv, fac);
+  const merged = await edit(srv, fac, "merge", { clusterIds: res.clusters.slice(0, 2).map((cl) => cl.clusterId), title: "Cluster gabung" });
+  assert.equal(merged.status, 200, merged.text);
+  assertInvariants(merged.body.result, cardIds);
+
+  const renamed = await edit(srv, fac, "rename", { clusterId: merged.body.result.clusters[0].clusterId, title: "Nama baharu" });
+  assert.equal(renamed.status, 200, renamed.text);
+  assertInvariants(renamed.body.result, cardIds);
+
+  // keluarkan ke unassigned (tiada sasaran) -> cluster yang kosong dibuang
+  const lone = renamed.body.result.clusters.find((cl) => cl.cardIds.length === 1) || renamed.body.result.clusters[0];
+  const out = await edit(srv, fac, "move", { cardIds: lone.cardIds });
+  assert.equal(out.status, 200, out.text);
+  assertInvariants(out.body.result, cardIds);
+  assert.ok(lone.cardIds.every((id) => out.body.result.unassigned.includes(id)));
+});
+
+test("cluster edit: operasi tidak sah ditolak tanpa ubah result", async (t) => {
+  const { srv, fac, cardIds } = await setup(t);
+  const before = await result(srv, fac);
+  const [a, b] = before.clusters;
+
+  const rejected = [
+    ["move", { cardIds: ["tiada-kad"], toClusterId: b.clusterId }],
+    ["move", { cardIds: [a.cardIds[0]], toClusterId: "CL-99" }],
+    ["split", { clusterId: a.clusterId, cardIds: a.cardIds, title: "Semua" }],
+    ["split", { clusterId: a.clusterId, cardIds: b.cardIds.slice(0, 1), title: "Luar" }],
+    ["merge", { clusterIds: [a.clusterId] }],
+    ["rename", { clusterId: a.clusterId, title: b.title }],
+  ];
+  for (const [op, body] of rejected) {
+    const r = await edit(srv, fac, op, body);
+    assert.equal(r.status, 400, `${op} ${JSON.stringify(body)}: ${r.text}`);
+  }
+
+  const after = await result(srv, fac);
+  assert.deepEqual(after, before);
+  assertInvariants(after, cardIds);
+});
+
+test("cluster edit: kad dipadam selepas run dibuang daripada cluster pada edit seterusnya", async (t) => {
+  const { srv, fac, cardIds } = await setup(t);
+  const res = await result(srv, fac);
+  const victim = res.clusters[0].cardIds[0];
+
+  const del = await srv.api("DELETE", `/api/cards/${SID}/${victim}`, { token: fac });
+  assert.equal(del.status, 200, del.text);
+
+  const renamed = await edit(srv, fac, "rename", { clusterId: res.clusters[1].clusterId, title: "Selepas padam" });
+  assert.equal(renamed.status, 200, renamed.text);
+  assertInvariants(renamed.body.result, cardIds.filter((id) => id !== String(victim)));
+});
+
+test("cluster runs: output asal run tidak berubah selepas edit dan boleh dipulihkan", async (t) => {
+  const { srv, fac, runId, cardIds } = await setup(t);
+  const original = await result(srv, fac);
+
+  const [a, b] = original.clusters;
+  await edit(srv, fac, "move", { cardIds: [a.cardIds[0]], toClusterId: b.clusterId });
+  await edit(srv, fac, "rename", { clusterId: b.clusterId, title: "Diedit" });
+
+  const entry = await srv.api("GET", `/api/cluster/runs/${SID}/${runId}`, { token: fac });
+  assert.equal(entry.status, 200, entry.text);
+  assert.deepEqual(entry.body.result.clusters, original.clusters);
+  assert.equal(entry.body.editedResult.clusters.find((cl) => cl.clusterId === b.clusterId).title, "Diedit");
+
+  const restored = await srv.api("POST", `/api/cluster/runs/${SID}/${runId}/restore?version=original`, { token: fac, body: {} });
+  assert.equal(restored.status, 200, restored.text);
+  const current = await result(srv, fac);
+  assert.deepEqual(current.clusters, original.clusters);
+  assertInvariants(current, cardIds);
+});
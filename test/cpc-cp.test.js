@@ -0,0 +1,98 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, seedSession, SAMPLE_ACTIVITIES } = require("./helpers/server");
+
+const SID = "CPC-1";
+
+async function setPhase(srv, token, to) {
+  const r = await srv.api("POST", `/api/session/${SID}/phase`, { token, body: { to, reason: "ujian" } });
+  assert.equal(r.status, 200, `phase ${to}: ${r.text}`);
+}
+
+// kad -> cluster local -> apply -> fasa cpc (CPC belum beku)
+async function setup(t) {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const admin = await srv.token("Admin", "admin");
+  const fac = await srv.token("Fasi", "facilitator", SID);
+  await seedSession(srv, SID, SAMPLE_ACTIVITIES, { token: admin });
+
+  const run = await srv.api("POST", "/api/cluster/run", { token: fac, body: { sessionId: SID, mode: "local", clusterCount: 3 } });
+  assert.equal(run.status, 200, run.text);
+  const apply = await srv.api("POST", "/api/cluster/apply", { token: fac, body: { sessionId: SID } });
+  assert.equal(apply.status, 200, apply.text);
+  await setPhase(srv, fac, "cpc");
+  return { srv, fac };
+}
+
+test("cpc: freeze menyekat edit CPC dan CP mesti dibina daripada CPC beku", async (t) => {
+  const { srv, fac } = await setup(t);
+
+  // belum beku -> tak boleh masuk fasa cp / draft CP
+  const early = await srv.api("POST", "/api/cp/draft", { token: fac, body: { sessionId: SID, cuCode: "C01" } });
+  assert.equal(early.status, 409);
+
+  const frozen = await srv.api("POST", `/api/cpc/${SID}/freeze`, { token: fac, body: {} });
+  assert.equal(frozen.status, 200, frozen.text);
+  assert.equal(frozen.body.cpc.frozenVersion, "v1");
+
+  assert.equal((await srv.api("POST", `/api/cpc/${SID}/freeze`, { token: fac, body: {} })).status, 409);
+  assert.equal((await srv.api("POST", `/api/cpc/${SID}/generate`, { token: fac, body: {} })).status, 409);
+  assert.equal((await srv.api("PUT", `/api/cpc/${SID}`, { token: fac, body: { units: [] } })).status, 409);
+
+  await setPhase(srv, fac, "cp");
+  const draft = await srv.api("POST", "/api/cp/draft", { token: fac, body: { sessionId: SID, cuCode: "C01" } });
+  assert.equal(draft.status, 200, draft.text);
+  assert.equal(draft.body.cpcVersion, "v1");
+
+  // client tidak boleh tukar rujukan CPC semasa edit
+  const edit = await srv.api("PUT", `/api/cp/${SID}/c01`, { token: fac, body: { ...draft.body.cp, cpcVersion: "v9" } });
+  assert.equal(edit.status, 200, edit.text);
+  const latest = await srv.api("GET", `/api/cp/${SID}/c01`, { token: fac });
+  assert.equal(latest.body.cpcVersion, "v1");
+  assert.equal(latest.body.stale, false);
+});
+
+test("cpc: CP daripada CPC lama jadi stale dan tidak boleh di-lock", async (t) => {
+  const { srv, fac } = await setup(t);
+
+  await srv.api("POST", `/api/cpc/${SID}/freeze`, { token: fac, body: {} });
+  await setPhase(srv, fac, "cp");
+  const draft = await srv.api("POST", "/api/cp/draft", { token: fac, body: { sessionId: SID, cuCode: "C01" } });
+  assert.equal(draft.status, 200, draft.text);
+
+  // undur, buka beku, simpan CPC baharu dan beku semula -> v2
+  await setPhase(srv, fac, "cpc");
+  assert.equal((await srv.api("POST", `/api/cpc/${SID}/unfreeze`, { token: fac, body: {} })).status, 200);
+  assert.equal((await srv.api("POST", `/api/cpc/${SID}/generate`, { token: fac, body: {} })).status, 200);
+  const refrozen = await srv.api("POST", `/api/cpc/${SID}/freeze`, { token: fac, body: {} });
+  assert.equal(refrozen.body.cpc.frozenVersion, "v2");
+  await setPhase(srv, fac, "cp");
+
+  const stale = await srv.api("GET", `/api/cp/${SID}/c01`, { token: fac });
+  assert.equal(stale.body.stale, true);
+  const lock = await srv.api("POST", "/api/cp/lock", { token: fac, body: { sessionId: SID, cuCode: "C01" } });
+  assert.equal(lock.status, 409);
+  assert.equal(lock.body.frozenVersion, "v2");
+
+  const redraft = await srv.api("POST", "/api/cp/draft", { token: fac, body: { sessionId: SID, cuCode: "C01" } });
+  assert.equal(redraft.body.cpcVersion, "v2");
+  const locked = await srv.api("POST", "/api/cp/lock", { token: fac, body: { sessionId: SID, cuCode: "C01" } });
+  assert.equal(locked.status, 200, locked.text);
+});
+
+test("cp: lock serentak disusun dalam queue session (versi unik)", async (t) => {
+  const { srv, fac } = await setup(t);
+
+  await srv.api("POST", `/api/cpc/${SID}/freeze`, { token: fac, body: {} });
+  await setPhase(srv, fac, "cp");
+  await srv.api("POST", "/api/cp/draft", { token: fac, body: { sessionId: SID, cuCode: "C01" } });
+
+  const locks = await Promise.all(
+    [1, 2, 3].map(() => srv.api("POST", "/api/cp/lock", { token: fac, body: { sessionId: SID, cuCode: "C01" } }))
+  );
+  assert.deepEqual(locks.map((r) => r.status), [200, 200, 200]);
+  assert.deepEqual(locks.map((r) => r.body.version).sort(), ["v2", "v3", "v4"]);
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * Harness ujian: jalankan server.js sebenar pada port rawak dengan store fs + object store local
+ * dalam folder sementara (tiada AWS / OpenAI), dan uji melalui HTTP.
+ */
+const { spawn } = require("node:child_process");
+const { once } = require("node:events");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const SERVER_JS = path.join(__dirname, "..", "..", "server.js");
+const ADMIN_KEY = "test-admin-key";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dacum-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_JS], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SESSION_STORE: "fs",
+      SESSION_FS_DIR: path.join(dir, "sessions"),
+      STORAGE_DRIVER: "local",
+      STORAGE_LOCAL_DIR: path.join(dir, "objects"),
+      OPENAI_API_KEY: "",
+      AUTH_SECRET: "test-auth-secret",
+      AUTH_ADMIN_KEY: ADMIN_KEY,
+      JOIN_LINK_SECRET: "test-join-secret",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let log = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server tidak mula dalam 15s:\n${log}`)), 15000);
+    const onData = (buf) => {
+      log += buf;
+      if (log.includes("Server listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server keluar (${code}):\n${log}`));
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+
+  async function api(method, url, { token, body, headers } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // bukan JSON (redirect / teks)
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  }
+
+  // token terus daripada adminKey (sessionId null = semua session, untuk admin)
+  async function token(name, role, sessionId = null) {
+    const r = await api("POST", "/api/auth/token", { body: { name, role, sessionId, adminKey: ADMIN_KEY } });
+    if (r.status !== 200) throw new Error(`token ${role} gagal: ${r.text}`);
+    return r.body.token;
+  }
+
+  async function stop() {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill();
+      await once(child, "exit");
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { base, api, token, stop };
+}
+
+/** cipta session + kad (facilitator -> kad terus approved) */
+async function seedSession(srv, sessionId, activities, { token, lang = "MS" } = {}) {
+  const created = await srv.api("POST", "/api/sessions", { token, body: { sessionId, lang } });
+  if (created.status !== 201) throw new Error(`cipta session gagal: ${created.text}`);
+  for (const activity of activities) {
+    const r = await srv.api("POST", `/api/cards/${sessionId}`, { token, body: { activity, panelName: "Panel" } });
+    if (r.status !== 200) throw new Error(`tambah kad gagal: ${r.text}`);
+  }
+}
+
+const SAMPLE_ACTIVITIES = [
+  "Memasang paip air",
+  "Menyambung paip air",
+  "Membaiki kebocoran paip",
+  "Menyediakan laporan kerja",
+  "Menulis laporan harian",
+  "Memeriksa tekanan air",
+  "Menguji tekanan paip",
+  "Mengurus stok bahan",
+];
+
+module.exports = { startServer, seedSession, SAMPLE_ACTIVITIES };
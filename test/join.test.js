@@ -0,0 +1,86 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, seedSession } = require("./helpers/server");
+
+const SID = "JOIN-1";
+
+async function setup(t, env) {
+  const srv = await startServer(env);
+  t.after(() => srv.stop());
+  const admin = await srv.token("Admin", "admin");
+  const facilitator = await srv.token("Fasi", "facilitator", SID);
+  await seedSession(srv, SID, [], { token: admin });
+  await seedSession(srv, "JOIN-2", [], { token: admin });
+
+  const created = await srv.api("POST", `/api/session/${SID}/join-codes`, { token: facilitator, body: { role: "panel" } });
+  assert.equal(created.status, 201, created.text);
+  const { code, shortUrl, joinUrl } = created.body;
+  return { srv, facilitator, code, short: new URL(shortUrl), join: new URL(joinUrl) };
+}
+
+test("join: URL bertandatangan diterima, sig / exp / role diubah ditolak", async (t) => {
+  const { srv, code, join } = await setup(t);
+  const params = Object.fromEntries(join.searchParams);
+
+  const ok = await srv.api("GET", `/api/join/${code}?${new URLSearchParams(params)}`);
+  assert.equal(ok.status, 200, ok.text);
+  assert.equal(ok.body.sessionId, SID);
+  assert.equal(ok.body.role, "panel");
+
+  const { sig, ...unsigned } = params;
+  const tampered = [
+    unsigned,
+    { ...params, sig: `${sig.slice(0, -2)}xx` },
+    { ...params, exp: String(Number(params.exp) + 60000) },
+    { ...params, role: "facilitator" },
+    { ...params, sessionId: "JOIN-2" },
+  ];
+  for (const q of tampered) {
+    const r = await srv.api("GET", `/api/join/${code}?${new URLSearchParams(q)}`);
+    assert.equal(r.status, 403, JSON.stringify(q));
+  }
+});
+
+test("join: short link /j redirect hanya dengan tandatangan sah", async (t) => {
+  const { srv, code, short, join } = await setup(t);
+
+  const ok = await srv.api("GET", `/j/${code}${short.search}`);
+  assert.equal(ok.status, 302);
+  assert.equal(ok.headers.get("location"), join.toString());
+
+  const unsigned = await srv.api("GET", `/j/${code}`);
+  assert.equal(unsigned.status, 403);
+});
+
+test("join: token daripada kod terhad kepada role dan session kod", async (t) => {
+  const { srv, code } = await setup(t);
+
+  const r = await srv.api("POST", "/api/auth/join", { body: { code, name: "Siti" } });
+  assert.equal(r.status, 200, r.text);
+  assert.equal(r.body.role, "panel");
+  assert.equal(r.body.sessionId, SID);
+
+  const own = await srv.api("GET", `/api/cards/${SID}`, { token: r.body.token });
+  assert.equal(own.status, 200);
+  const other = await srv.api("GET", "/api/cards/JOIN-2", { token: r.body.token });
+  assert.equal(other.status, 403);
+  const lock = await srv.api("POST", `/api/session/lock/${SID}`, { token: r.body.token });
+  assert.equal(lock.status, 403);
+});
+
+test("join: kod salah berulang dari IP sama dihadkan (429)", async (t) => {
+  const { srv, code } = await setup(t, { JOIN_GUESS_MAX: "3" });
+
+  // format sah tapi tiada dalam index -> 404 (dikira sebagai tekaan)
+  for (const guess of ["ZZZZZ2", "ZZZZZ3", "ZZZZZ4"]) {
+    const r = await srv.api("POST", "/api/auth/join", { body: { code: guess, name: "Teka" } });
+    assert.equal(r.status, 404, r.text);
+  }
+  // had dicapai: kod sah pun ditolak sehingga tetingkap tamat
+  const blocked = await srv.api("POST", "/api/auth/join", { body: { code, name: "Teka" } });
+  assert.equal(blocked.status, 429);
+  const link = await srv.api("GET", `/api/join/${code}`);
+  assert.equal(link.status, 429);
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, seedSession } = require("./helpers/server");
+
+const SID = "MOD-1";
+
+test("moderation: kad bukan fasilitator masuk pending pada setiap entry point", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const admin = await srv.token("Admin", "admin");
+  const facilitator = await srv.token("Fasi", "facilitator", SID);
+  const panel = await srv.token("Ali", "panel", SID);
+  await seedSession(srv, SID, [], { token: admin });
+
+  const on = await srv.api("POST", `/api/session/${SID}/moderation`, { token: facilitator, body: { enabled: true } });
+  assert.equal(on.status, 200);
+  assert.equal(on.body.moderation, true);
+
+  const submissions = [
+    ["/api/cards/" + SID, { activity: "Kad api cards", panelName: "Ali" }],
+    ["/cards/" + SID, { name: "Ali", activity: "Kad legacy" }],
+    [`/api/liveboard/${SID}/append`, { panelName: "Ali", activity: "Kad liveboard" }],
+    ["/api/panel/submit", { sessionId: SID, panelName: "Ali", text: "Kad panel submit" }],
+  ];
+  for (const [url, body] of submissions) {
+    const r = await srv.api("POST", url, { token: panel, body });
+    assert.equal(r.status, 200, `${url}: ${r.text}`);
+  }
+
+  const pending = await srv.api("GET", `/api/cards/${SID}/moderation`, { token: facilitator });
+  assert.equal(pending.status, 200);
+  assert.deepEqual(
+    pending.body.items.map((c) => c.activity).sort(),
+    ["Kad api cards", "Kad legacy", "Kad liveboard", "Kad panel submit"]
+  );
+
+  // panel tak nampak kad pending dan tak boleh minta status lain
+  const visible = await srv.api("GET", `/api/cards/${SID}`, { token: panel });
+  assert.equal(visible.status, 200);
+  assert.equal(visible.body.items.length, 0);
+  const peek = await srv.api("GET", `/api/cards/${SID}?status=pending`, { token: panel });
+  assert.equal(peek.status, 403);
+
+  // fasilitator tidak dimoderasi
+  const own = await srv.api("POST", `/api/cards/${SID}`, { token: facilitator, body: { activity: "Kad fasilitator" } });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.status, "approved");
+});
+
+test("moderation: hanya fasilitator boleh lulus / tolak kad pending", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const admin = await srv.token("Admin", "admin");
+  const facilitator = await srv.token("Fasi", "facilitator", SID);
+  const panel = await srv.token("Ali", "panel", SID);
+  await seedSession(srv, SID, [], { token: admin });
+  await srv.api("POST", `/api/session/${SID}/moderation`, { token: facilitator, body: { enabled: true } });
+
+  const submitted = await srv.api("POST", `/api/cards/${SID}`, { token: panel, body: { activity: "Memasang paip air" } });
+  assert.equal(submitted.body.status, "pending");
+  const cardId = submitted.body.card.id;
+
+  const selfApprove = await srv.api("POST", `/api/cards/${SID}/${cardId}/approve`, { token: panel, body: {} });
+  assert.equal(selfApprove.status, 403);
+
+  const approved = await srv.api("POST", `/api/cards/${SID}/${cardId}/approve`, { token: facilitator, body: {} });
+  assert.equal(approved.status, 200, approved.text);
+
+  const visible = await srv.api("GET", `/api/cards/${SID}`, { token: panel });
+  assert.deepEqual(visible.body.items.map((c) => c.id), [cardId]);
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, seedSession } = require("./helpers/server");
+
+test("rbac: token terhad kepada session dalam skopnya", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const admin = await srv.token("Admin", "admin");
+  await seedSession(srv, "SCOPE-A", ["Memasang paip air"], { token: admin });
+  await seedSession(srv, "SCOPE-B", ["Menulis laporan"], { token: admin });
+
+  const panelA = await srv.token("Ali", "panel", "SCOPE-A");
+  const observerA = await srv.token("Obs", "observer", "SCOPE-A");
+  const facilitatorA = await srv.token("Fasi", "facilitator", "SCOPE-A");
+
+  assert.equal((await srv.api("GET", "/api/cards/SCOPE-A")).status, 401);
+  assert.equal((await srv.api("GET", "/api/cards/SCOPE-A", { token: panelA })).status, 200);
+
+  assert.equal((await srv.api("GET", "/api/cards/SCOPE-B", { token: panelA })).status, 403);
+  assert.equal((await srv.api("POST", "/api/cards/SCOPE-B", { token: panelA, body: { activity: "x" } })).status, 403);
+  assert.equal((await srv.api("POST", "/api/cards/SCOPE-A", { token: observerA, body: { activity: "x" } })).status, 403);
+
+  // sessionId dalam body (bukan params) juga disemak
+  const submit = await srv.api("POST", "/api/panel/submit", { token: panelA, body: { sessionId: "SCOPE-B", panelName: "Ali", text: "x" } });
+  assert.equal(submit.status, 403);
+
+  assert.equal((await srv.api("POST", "/api/session/lock/SCOPE-B", { token: facilitatorA })).status, 403);
+  assert.equal((await srv.api("GET", "/api/session/SCOPE-B/events", { token: facilitatorA })).status, 403);
+  assert.equal((await srv.api("GET", "/api/session/SCOPE-A/events", { token: panelA })).status, 403);
+
+  const cardsB = await srv.api("GET", "/api/cards/SCOPE-B", { token: admin });
+  assert.deepEqual(cardsB.body.items.map((c) => c.activity), ["Menulis laporan"]);
+});
+
+test("rbac: fasilitator hanya keluarkan token panel/observer untuk session sendiri", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const admin = await srv.token("Admin", "admin");
+  await seedSession(srv, "SCOPE-A", [], { token: admin });
+  await seedSession(srv, "SCOPE-B", [], { token: admin });
+  const facilitatorA = await srv.token("Fasi", "facilitator", "SCOPE-A");
+
+  const issue = (body) => srv.api("POST", "/api/auth/token", { token: facilitatorA, body });
+  assert.equal((await issue({ name: "Ali", role: "panel", sessionId: "SCOPE-A" })).status, 200);
+  assert.equal((await issue({ name: "Ali", role: "panel", sessionId: "SCOPE-B" })).status, 403);
+  assert.equal((await issue({ name: "Ali", role: "facilitator", sessionId: "SCOPE-A" })).status, 403);
+  assert.equal((await issue({ name: "Ali", role: "panel" })).status, 400);
+  assert.equal((await srv.api("POST", "/api/auth/token", { body: { name: "X", role: "admin", adminKey: "salah" } })).status, 401);
+});
+
+test("rbac: s2/compare tolak meta.sessionId yang berbeza daripada sessionId", async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  const admin = await srv.token("Admin", "admin");
+  await seedSession(srv, "SCOPE-A", [], { token: admin });
+  await seedSession(srv, "SCOPE-B", [], { token: admin });
+  const facilitatorA = await srv.token("Fasi", "facilitator", "SCOPE-A");
+
+  const body = { cus: [{ cuTitle: "Paip" }], meta: { sessionId: "SCOPE-B" } };
+  const noSid = await srv.api("POST", "/api/s2/compare", { token: facilitatorA, body });
+  assert.equal(noSid.status, 400, noSid.text);
+  const otherSid = await srv.api("POST", "/api/s2/compare", { token: facilitatorA, body: { ...body, sessionId: "SCOPE-B" } });
+  assert.equal(otherSid.status, 403);
+
+  const events = await srv.api("GET", "/api/session/SCOPE-B/events", { token: admin });
+  assert.deepEqual(events.body.items.map((e) => e.type), ["session.created"]);
+});